@@ -1,7 +1,24 @@
 // Main application entry point
 
-import { loadData, saveBoxes, saveExpandedSpaceId } from './storage.js';
+import {
+  loadData,
+  saveBoxesFrom,
+  saveExpandedSpaceId,
+  saveSettings,
+  onDataChanged,
+  loadSnapshots,
+  saveSnapshot,
+  trimSnapshots,
+  loadTrash,
+  addToTrash,
+  removeFromTrash,
+  purgeExpiredTrash,
+  loadArcImports,
+  saveArcImports,
+  SCHEMA_VERSION,
+} from './storage.js';
 import { renderBox } from './box.js';
+import { focusSelectedItem, getSelection, clearSelection } from './tree.js';
 import {
   createEmptyBox,
   createFolder,
@@ -12,27 +29,103 @@ import {
   debounce,
   parseBookmarksHtml,
   createBoxFromBookmarks,
+  createBoxesFromExportedSpaces,
   parseArcJson,
   createBoxesFromArcSpaces,
   mergeArcSpaces,
+  findArcSpaceMatch,
+  snapshotArcItems,
+  withoutUnpinnedArcItems,
+  mergeBoxes,
   generateId,
+  collectIds,
+  escapeHtml,
 } from './utils.js';
 import {
-  initSync,
-  syncAllSpacesToChrome,
-  syncSpaceToChrome,
-  removeSpaceFromChrome,
-  removeItemFromChrome,
-  findItemByChromeId,
-  findParentSpace,
-  removeItemByChromeId,
+  getChromeItem,
+  getSyncMode,
+  mergeDuplicateFolder,
+  resolveConflict,
 } from './sync.js';
+import {
+  onBackgroundMessage,
+  requestSync,
+  requestRemoveSpace,
+  requestRemoveItem,
+  requestChangeSyncRoot,
+  requestChromeFolders,
+  requestDuplicateSyncFolders,
+  requestRemoveDuplicateFolder,
+  requestSyncStatus,
+  requestRetry,
+  requestClearFailures,
+} from './sync-client.js';
+import { recordEdit, undoEdit, redoEdit } from './undo.js';
+import { createTrashedSpace, createTrashedItem, restoreTrashed } from './trash.js';
+import { initPalette, openPalette } from './palette.js';
+import { createBookmarksHtml, getBookmarksHtmlFileName } from './export.js';
+import {
+  createBackupFile,
+  getBackupFileName,
+  parseBackupFile,
+  summarizeBoxes,
+  relinkRestoredBoxes,
+  mergeRestoredBoxes,
+  diffBoxes,
+} from './backup.js';
 
 // Application state
 let boxes = [];
 let expandedSpaceId = null;
+let settings = {};
 let canvas;
 
+// Latest sync status from the background service worker
+let syncStatus = { state: 'synced', failures: [] };
+
+// Revision of the stored data this tab last loaded or saved, and its boxes.
+// Local edits are the differences from these boxes, so they can be merged
+// into newer data saved by another tab or the background service worker.
+let revision = 0;
+let baseBoxes = [];
+
+// Backup file read for restoring, while the restore modal is open
+let pendingRestore = null;
+
+// Arc spaces read for importing, while the import preview is open:
+// [{ box, include, targetId, matchId }], where targetId is the existing box
+// the space will update (null for a new space) and matchId the one with its
+// Arc ID
+let pendingArcImport = null;
+
+// How each kind of trashed item is described in the Trash
+const TRASH_KIND_LABELS = {
+  folder: 'Folder',
+  bookmark: 'Bookmark',
+};
+
+// How long the undo toast stays up
+const TOAST_DURATION = 6000;
+let toastTimer = null;
+
+// How each kind of change since a snapshot is described in the history view
+const HISTORY_CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  renamed: 'Renamed',
+  edited: 'Changed the URL of',
+  moved: 'Moved',
+};
+
+// How each kind of failed Chrome write is described in the sync status view
+const SYNC_FAILURE_LABELS = {
+  sync: 'Read',
+  create: 'Create',
+  update: 'Update',
+  move: 'Move',
+  remove: 'Remove',
+};
+
 /**
  * Initialize the application
  */
@@ -44,26 +137,48 @@ async function init() {
   const helpBtn = document.getElementById('help-btn');
   const helpModal = document.getElementById('help-modal');
   const modalClose = document.getElementById('modal-close');
-
-  // Load saved data
-  const data = await loadData();
+  const linkBtn = document.getElementById('link-btn');
+  const linkModal = document.getElementById('link-modal');
+  const linkModalClose = document.getElementById('link-modal-close');
+  const settingsBtn = document.getElementById('settings-btn');
+  const settingsModal = document.getElementById('settings-modal');
+  const settingsModalClose = document.getElementById('settings-modal-close');
+
+  // Load saved data. Data that can't be read (e.g. saved by a newer version
+  // of the extension) is left untouched, so nothing else is set up.
+  let data;
+  try {
+    data = await loadData();
+  } catch (err) {
+    console.error('Failed to load data:', err);
+    renderLoadError(err);
+    return;
+  }
   boxes = data.boxes || [];
   expandedSpaceId = data.expandedSpaceId || (boxes.length > 0 ? boxes[0].id : null);
+  settings = data.settings || {};
+  revision = data.revision || 0;
+  baseBoxes = structuredClone(boxes);
 
-  // Initialize Chrome bookmarks sync
-  initSync(handleChromeBookmarkChange);
+  // Pick up changes saved by other tabs and the background service worker
+  onDataChanged(handleStoredDataChange);
 
-  // Sync existing spaces to Chrome bookmarks
-  if (boxes.length > 0) {
-    boxes = await syncAllSpacesToChrome(boxes);
-    saveBoxes(boxes);
-  }
+  // Chrome bookmarks sync runs in the background service worker
+  onBackgroundMessage(handleBackgroundMessage);
 
   // Render initial state
   render();
 
+  // Sync existing spaces to Chrome bookmarks
+  requestSyncStatus()
+    .then(renderSyncStatus)
+    .catch((err) => console.warn('Failed to get sync status:', err));
+  if (boxes.length > 0) {
+    requestSync().catch((err) => console.warn('Failed to sync Chrome bookmarks:', err));
+  }
+
   // Setup add box button
-  addBoxBtn.addEventListener('click', handleAddBox);
+  addBoxBtn.addEventListener('click', addSpace);
 
   // Setup import button
   importBtn.addEventListener('click', () => fileInput.click());
@@ -76,6 +191,145 @@ async function init() {
     if (e.target === helpModal) helpModal.classList.add('hidden');
   });
 
+  // Setup link from Chrome modal
+  linkBtn.addEventListener('click', showLinkModal);
+  linkModalClose.addEventListener('click', () => linkModal.classList.add('hidden'));
+  linkModal.addEventListener('click', (e) => {
+    if (e.target === linkModal) linkModal.classList.add('hidden');
+  });
+
+  // Setup settings modal
+  settingsBtn.addEventListener('click', showSettingsModal);
+  settingsModalClose.addEventListener('click', () => settingsModal.classList.add('hidden'));
+  settingsModal.addEventListener('click', (e) => {
+    if (e.target === settingsModal) settingsModal.classList.add('hidden');
+  });
+  document.querySelectorAll('input[name="sync-root"]').forEach((radio) => {
+    radio.addEventListener('change', updateSyncRootInputs);
+  });
+  document.getElementById('settings-save').addEventListener('click', handleSaveSettings);
+
+  // Setup backup export and restore
+  const backupFileInput = document.getElementById('backup-file-input');
+  const restoreModal = document.getElementById('restore-modal');
+  document.getElementById('export-backup-btn').addEventListener('click', handleExportBackup);
+  document.getElementById('restore-backup-btn').addEventListener('click', () => backupFileInput.click());
+  backupFileInput.addEventListener('change', handleRestoreFile);
+  document.getElementById('restore-modal-close').addEventListener('click', () => {
+    restoreModal.classList.add('hidden');
+  });
+  restoreModal.addEventListener('click', (e) => {
+    if (e.target === restoreModal) restoreModal.classList.add('hidden');
+  });
+  document.getElementById('restore-merge-btn').addEventListener('click', () => handleRestore('merge'));
+  document.getElementById('restore-replace-btn').addEventListener('click', () => handleRestore('replace'));
+
+  // Setup bookmarks HTML export
+  const exportModal = document.getElementById('export-modal');
+  document.getElementById('export-html-btn').addEventListener('click', () => showExportModal());
+  document.getElementById('export-modal-close').addEventListener('click', () => {
+    exportModal.classList.add('hidden');
+  });
+  exportModal.addEventListener('click', (e) => {
+    if (e.target === exportModal) exportModal.classList.add('hidden');
+  });
+  document.getElementById('export-all-btn').addEventListener('click', () => {
+    document.querySelectorAll('#export-space-list input').forEach((checkbox) => { checkbox.checked = true; });
+    updateExportButton();
+  });
+  document.getElementById('export-confirm-btn').addEventListener('click', handleExportSelectedSpaces);
+
+  // Setup Arc import preview
+  const arcImportModal = document.getElementById('arc-import-modal');
+  document.getElementById('arc-import-modal-close').addEventListener('click', () => {
+    arcImportModal.classList.add('hidden');
+  });
+  arcImportModal.addEventListener('click', (e) => {
+    if (e.target === arcImportModal) arcImportModal.classList.add('hidden');
+  });
+  document.getElementById('arc-import-unpinned').addEventListener('change', handleArcImportUnpinnedChange);
+  document.getElementById('arc-import-confirm-btn').addEventListener('click', handleConfirmArcImport);
+
+  // Setup command palette
+  initPalette();
+
+  // Setup bulk actions on selected items
+  const moveModal = document.getElementById('move-modal');
+  document.getElementById('selection-move-btn').addEventListener('click', showMoveModal);
+  document.getElementById('selection-open-btn').addEventListener('click', openSelectedBookmarks);
+  document.getElementById('selection-copy-btn').addEventListener('click', copySelectedLinks);
+  document.getElementById('selection-delete-btn').addEventListener('click', deleteSelectedItems);
+  document.getElementById('selection-clear-btn').addEventListener('click', () => {
+    clearSelection();
+    renderSelectionBar();
+  });
+  document.getElementById('move-modal-close').addEventListener('click', () => moveModal.classList.add('hidden'));
+  moveModal.addEventListener('click', (e) => {
+    if (e.target === moveModal) moveModal.classList.add('hidden');
+  });
+
+  // Setup undo toast
+  document.getElementById('toast-undo-btn').addEventListener('click', () => handleUndo(false));
+
+  // Setup Trash modal
+  const trashModal = document.getElementById('trash-modal');
+  document.getElementById('trash-btn').addEventListener('click', showTrashModal);
+  document.getElementById('trash-modal-close').addEventListener('click', () => {
+    trashModal.classList.add('hidden');
+  });
+  trashModal.addEventListener('click', (e) => {
+    if (e.target === trashModal) trashModal.classList.add('hidden');
+  });
+  document.getElementById('trash-empty-btn').addEventListener('click', handleEmptyTrash);
+
+  // Setup snapshot history modal
+  const historyModal = document.getElementById('history-modal');
+  document.getElementById('history-btn').addEventListener('click', showHistoryModal);
+  document.getElementById('history-modal-close').addEventListener('click', () => {
+    historyModal.classList.add('hidden');
+  });
+  historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) historyModal.classList.add('hidden');
+  });
+
+  // Setup sync conflicts modal
+  const conflictsModal = document.getElementById('conflicts-modal');
+  document.getElementById('conflicts-btn').addEventListener('click', showConflictsModal);
+  document.getElementById('conflicts-modal-close').addEventListener('click', () => {
+    conflictsModal.classList.add('hidden');
+  });
+  conflictsModal.addEventListener('click', (e) => {
+    if (e.target === conflictsModal) conflictsModal.classList.add('hidden');
+  });
+
+  // Setup sync status modal
+  const syncStatusModal = document.getElementById('sync-status-modal');
+  document.getElementById('sync-status-btn').addEventListener('click', showSyncStatusModal);
+  document.getElementById('sync-status-modal-close').addEventListener('click', () => {
+    syncStatusModal.classList.add('hidden');
+  });
+  syncStatusModal.addEventListener('click', (e) => {
+    if (e.target === syncStatusModal) syncStatusModal.classList.add('hidden');
+  });
+  document.getElementById('sync-retry-btn').addEventListener('click', async () => {
+    await requestRetry();
+    renderSyncFailureList();
+  });
+  document.getElementById('sync-clear-btn').addEventListener('click', async () => {
+    await requestClearFailures();
+    renderSyncFailureList();
+  });
+
+  // Setup duplicate sync folders modal
+  const duplicatesModal = document.getElementById('duplicates-modal');
+  document.getElementById('find-duplicates-btn').addEventListener('click', showDuplicatesModal);
+  document.getElementById('duplicates-modal-close').addEventListener('click', () => {
+    duplicatesModal.classList.add('hidden');
+  });
+  duplicatesModal.addEventListener('click', (e) => {
+    if (e.target === duplicatesModal) duplicatesModal.classList.add('hidden');
+  });
+
   // Setup tab switching
   document.querySelectorAll('.tab-btn').forEach((btn) => {
     btn.addEventListener('click', () => {
@@ -109,240 +363,1571 @@ async function init() {
 }
 
 /**
- * Render all boxes
+ * Render all boxes
+ */
+function render() {
+  // Keep keyboard focus on the selected tree item through the re-render
+  const treeFocused = document.activeElement?.classList.contains('tree-item');
+  canvas.innerHTML = '';
+
+  if (boxes.length === 0) {
+    renderEmptyState();
+    renderConflictsIndicator();
+    return;
+  }
+
+  boxes.forEach((box) => {
+    const isExpanded = box.id === expandedSpaceId;
+    const boxEl = renderBox(box, handlers, isExpanded);
+    canvas.appendChild(boxEl);
+  });
+
+  if (treeFocused) focusSelectedItem(canvas);
+  renderConflictsIndicator();
+}
+
+/**
+ * Show the number of unresolved sync conflicts in the banner
+ */
+function renderConflictsIndicator() {
+  const conflictsBtn = document.getElementById('conflicts-btn');
+  const count = collectConflicts().length;
+
+  conflictsBtn.classList.toggle('hidden', count === 0);
+  conflictsBtn.textContent = `\u26A0 ${count} sync conflict${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render empty state
+ */
+function renderEmptyState() {
+  const empty = document.createElement('div');
+  empty.className = 'empty-state';
+  empty.innerHTML = `
+    <div class="empty-state-icon">&#128230;</div>
+    <div class="empty-state-text">No bookmark boxes yet</div>
+    <div class="empty-state-hint">Click the + button to create your first box</div>
+  `;
+  canvas.appendChild(empty);
+}
+
+/**
+ * Render why the saved data couldn't be loaded
+ */
+function renderLoadError(err) {
+  const message = document.createElement('div');
+  message.className = 'empty-state';
+  message.innerHTML = `
+    <div class="empty-state-icon">&#9888;</div>
+    <div class="empty-state-text">Your bookmarks couldn't be loaded</div>
+    <div class="empty-state-hint"></div>
+  `;
+  message.querySelector('.empty-state-hint').textContent = err.name === 'NewerSchemaError'
+    ? err.message
+    : 'Something went wrong reading the saved data. Try reloading the page.';
+  canvas.appendChild(message);
+}
+
+/**
+ * Handle adding a new box
+ */
+function handleAddBox() {
+  const newBox = createEmptyBox();
+  boxes.push(newBox);
+  expandedSpaceId = newBox.id; // Expand the newly created box
+  saveExpandedSpaceId(expandedSpaceId);
+  save();
+  render();
+}
+
+/**
+ * Add a new space, as an edit that can be undone
+ */
+const addSpace = undoable('Add space', handleAddBox);
+
+/**
+ * Open the command palette over the current spaces
+ */
+function showPalette() {
+  openPalette({
+    boxes,
+    actions: [
+      { label: 'New space', run: addSpace },
+      { label: 'Import', hint: 'Arc StorableSidebar.json or a bookmarks HTML file', run: () => document.getElementById('file-input').click() },
+      { label: 'Link from Chrome', run: showLinkModal },
+      { label: 'Trash', run: showTrashModal },
+      { label: 'Export bookmarks', hint: 'Bookmarks HTML file for other browsers', run: () => showExportModal() },
+      { label: 'History', run: showHistoryModal },
+      { label: 'Settings', run: showSettingsModal },
+      ...boxes.map((box) => ({
+        label: `Switch to space "${box.title || 'Untitled'}"`,
+        color: box.color,
+        run: () => handlers.onSelectSpace(box.id),
+      })),
+      ...boxes.map((box) => ({
+        label: `Export space "${box.title || 'Untitled'}"`,
+        color: box.color,
+        run: () => exportBookmarksHtml([box]),
+      })),
+    ],
+    onOpen: (box, item) => window.open(item.url, '_blank'),
+    onReveal: (box, item) => revealItem(box.id, item.id),
+  });
+}
+
+/**
+ * Expand an item's space and the folders holding it, then scroll to it and
+ * highlight it
+ */
+function revealItem(boxId, itemId) {
+  const box = findBox(boxId);
+  if (!box) return;
+
+  let parent = findParentById(box.items, itemId);
+  while (parent) {
+    parent.expanded = true;
+    parent = findParentById(box.items, parent.id);
+  }
+  expandedSpaceId = boxId;
+  saveExpandedSpaceId(boxId);
+  save();
+  render();
+
+  const row = canvas.querySelector(`.tree-item[data-id="${CSS.escape(itemId)}"]`);
+  if (row) {
+    row.scrollIntoView({ block: 'center' });
+    row.classList.add('revealed');
+    setTimeout(() => row.classList.remove('revealed'), 1500);
+  }
+}
+
+/**
+ * Handle importing bookmarks from file
+ */
+function handleImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    const content = event.target.result;
+    const isJson = file.name.endsWith('.json');
+
+    if (isJson) {
+      // Handle Arc's StorableSidebar.json format
+      handleArcImport(content);
+    } else {
+      // Handle standard HTML bookmark format
+      handleHtmlImport(content, file.name);
+    }
+  };
+
+  reader.readAsText(file);
+
+  // Reset file input so the same file can be imported again
+  e.target.value = '';
+}
+
+/**
+ * Handle HTML bookmark file import
+ */
+async function handleHtmlImport(html, filename) {
+  const items = parseBookmarksHtml(html);
+
+  if (items.length === 0) {
+    alert('No bookmarks found in the file.');
+    return;
+  }
+
+  await saveSnapshot(boxes, 'import', `Before importing ${filename}`);
+
+  // Spaces exported by this extension come back as spaces; any other file
+  // becomes one space named after it (without its extension)
+  const title = filename.replace(/\.[^/.]+$/, '').replace(/_/g, ' ');
+  const newBoxes = createBoxesFromExportedSpaces(items) || [createBoxFromBookmarks(items, title)];
+
+  boxes.push(...newBoxes);
+  expandedSpaceId = newBoxes[0].id; // Expand the imported box
+  saveExpandedSpaceId(expandedSpaceId);
+  save();
+  render();
+}
+
+/**
+ * Handle Arc Browser JSON import
+ */
+function handleArcImport(jsonContent) {
+  let spaces;
+  try {
+    spaces = parseArcJson(jsonContent);
+  } catch (err) {
+    console.error('Error parsing Arc JSON:', err);
+    alert('Error parsing the file. Make sure you selected a valid Arc StorableSidebar.json file.');
+    return;
+  }
+
+  if (spaces.length === 0) {
+    alert('No bookmarks found in the Arc data file. Make sure you selected the correct StorableSidebar.json file.');
+    return;
+  }
+
+  // Mirrored spaces follow their Chrome folder, so imports can't update them
+  const editableBoxes = boxes.filter((box) => getSyncMode(box) !== 'mirror');
+  pendingArcImport = createBoxesFromArcSpaces(spaces).map((box) => {
+    const match = findArcSpaceMatch(editableBoxes, box);
+    return { box, include: true, targetId: match ? match.id : null, matchId: match ? match.id : null };
+  });
+  showArcImportModal();
+}
+
+/**
+ * Show the Arc spaces about to be imported, letting each be left out,
+ * renamed or pointed at a different existing space
+ */
+function showArcImportModal() {
+  document.getElementById('arc-import-unpinned').checked = settings.importUnpinnedTabs;
+  renderArcImportList();
+  document.getElementById('arc-import-modal').classList.remove('hidden');
+}
+
+/**
+ * List the Arc spaces in the import preview
+ */
+function renderArcImportList() {
+  const list = document.getElementById('arc-import-list');
+  list.innerHTML = '';
+
+  for (const entry of getArcImportEntries()) {
+    list.appendChild(renderArcImportRow(entry));
+  }
+
+  updateArcImportButton();
+}
+
+/**
+ * The Arc spaces offered for import. While unpinned tabs are skipped, spaces
+ * with nothing but unpinned tabs are left out, as they'd import empty.
+ */
+function getArcImportEntries() {
+  if (settings.importUnpinnedTabs) return pendingArcImport;
+  return pendingArcImport.filter((entry) => withoutUnpinnedArcItems(entry.box.items).length > 0);
+}
+
+/**
+ * Include or skip the unpinned (Today) tabs of Arc spaces, in this import
+ * and later ones
+ */
+function handleArcImportUnpinnedChange(e) {
+  settings.importUnpinnedTabs = e.target.checked;
+  saveSettings({ importUnpinnedTabs: settings.importUnpinnedTabs });
+  renderArcImportList();
+}
+
+/**
+ * Render an Arc space in the import preview: whether to import it, its
+ * color, name and size, whether it's new, and the space it goes into
+ */
+function renderArcImportRow(entry) {
+  const { box } = entry;
+  const arcTitle = box.title;
+
+  const row = document.createElement('div');
+  row.className = 'folder-list-row arc-import-row';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = entry.include;
+  checkbox.title = 'Import this space';
+
+  const dot = document.createElement('span');
+  dot.className = 'space-color-dot';
+  dot.style.backgroundColor = box.color;
+
+  const text = document.createElement('div');
+  text.className = 'arc-import-text';
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'arc-import-title';
+  titleInput.value = box.title;
+  titleInput.placeholder = arcTitle;
+  titleInput.addEventListener('input', () => {
+    box.title = titleInput.value.trim() || arcTitle;
+  });
+
+  const items = settings.importUnpinnedTabs ? box.items : withoutUnpinnedArcItems(box.items);
+  const { folders, bookmarks } = summarizeBoxes([{ ...box, items }]);
+  const match = entry.matchId ? findBox(entry.matchId) : null;
+  const detail = document.createElement('div');
+  detail.className = 'folder-list-count';
+  detail.textContent = `${bookmarks} bookmark(s), ${folders} folder(s) \u00B7 ` +
+    (match ? `imported before as "${match.title || 'Untitled'}"` : 'new');
+
+  text.appendChild(titleInput);
+  text.appendChild(detail);
+
+  const targetSelect = document.createElement('select');
+  targetSelect.className = 'arc-import-target';
+  targetSelect.title = 'Where to import this space';
+  targetSelect.add(new Option('New space', ''));
+  for (const existing of boxes) {
+    if (getSyncMode(existing) === 'mirror') continue;
+    targetSelect.add(new Option(`Update "${existing.title || 'Untitled'}"`, existing.id));
+  }
+  targetSelect.value = entry.targetId || '';
+  targetSelect.addEventListener('change', () => {
+    entry.targetId = targetSelect.value || null;
+  });
+
+  checkbox.addEventListener('change', () => {
+    entry.include = checkbox.checked;
+    row.classList.toggle('excluded', !entry.include);
+    updateArcImportButton();
+  });
+
+  row.appendChild(checkbox);
+  row.appendChild(dot);
+  row.appendChild(text);
+  row.appendChild(targetSelect);
+  return row;
+}
+
+/**
+ * Only allow importing once at least one space is ticked
+ */
+function updateArcImportButton() {
+  const count = getArcImportEntries().filter((entry) => entry.include).length;
+  const importBtn = document.getElementById('arc-import-confirm-btn');
+  importBtn.disabled = count === 0;
+  importBtn.textContent = `Import ${count} space(s)`;
+}
+
+/**
+ * Import the ticked Arc spaces, updating the spaces they were pointed at and
+ * adding the rest as new spaces
+ */
+async function handleConfirmArcImport() {
+  if (!pendingArcImport) return;
+  const entries = getArcImportEntries().filter((entry) => entry.include);
+  pendingArcImport = null;
+  document.getElementById('arc-import-modal').classList.add('hidden');
+  if (entries.length === 0) return;
+
+  await saveSnapshot(boxes, 'import', 'Before importing from Arc Browser');
+
+  // Skipped unpinned tabs are left out of the last import too, so Today
+  // folders imported before are kept as they are
+  let bases = await loadArcImports();
+  if (!settings.importUnpinnedTabs) {
+    entries.forEach((entry) => { entry.box.items = withoutUnpinnedArcItems(entry.box.items); });
+    bases = Object.fromEntries(Object.entries(bases).map(([arcId, items]) => [arcId, withoutUnpinnedArcItems(items)]));
+  }
+
+  const targets = new Map(entries.map((entry) => [entry.box.id, entry.targetId]));
+  const imports = Object.fromEntries(entries
+    .filter((entry) => entry.box.arcId)
+    .map((entry) => [entry.box.arcId, snapshotArcItems(entry.box.items)]));
+  const previousBoxes = boxes;
+
+  // Merge with existing boxes, avoiding duplicates and applying what changed
+  // in Arc since the last import
+  boxes = mergeArcSpaces(boxes, entries.map((entry) => entry.box), targets, bases);
+  await saveArcImports(imports);
+
+  const addedCount = boxes.length - previousBoxes.length;
+  const updatedCount = entries.length - addedCount;
+
+  // Items deleted in Arc, and copies left by earlier imports, go to the Trash
+  const ids = collectIds(boxes);
+  const removed = [];
+  const findRemoved = (box, items) => {
+    for (const item of items) {
+      if (!ids.has(item.id)) {
+        removed.push(createTrashedItem(box, item));
+      } else if (item.children) {
+        findRemoved(box, item.children);
+      }
+    }
+  };
+  previousBoxes.forEach((box) => findRemoved(box, box.items));
+  if (removed.length > 0) await addToTrash(removed);
+
+  // Expand the first imported space if nothing was expanded
+  if (!expandedSpaceId && boxes.length > 0) {
+    expandedSpaceId = boxes[0].id;
+    saveExpandedSpaceId(expandedSpaceId);
+  }
+  save();
+  render();
+
+  let message;
+  if (addedCount > 0 && updatedCount > 0) {
+    message = `Imported ${addedCount} new space(s) and updated ${updatedCount} existing space(s) from Arc Browser`;
+  } else if (addedCount > 0) {
+    message = `Imported ${addedCount} space(s) from Arc Browser`;
+  } else {
+    message = `Updated ${updatedCount} existing space(s) from Arc Browser`;
+  }
+  if (removed.length > 0) {
+    message += `, moving ${removed.length} removed item(s) to the Trash`;
+  }
+  showToast(message);
+}
+
+/**
+ * Show the Link from Chrome modal with the Chrome bookmark folders
+ */
+async function showLinkModal() {
+  const linkModal = document.getElementById('link-modal');
+  const list = document.getElementById('link-folder-list');
+  list.innerHTML = '';
+
+  const folders = await requestChromeFolders();
+  if (!folders.some((folder) => folder.available)) {
+    const empty = document.createElement('div');
+    empty.className = 'folder-list-empty';
+    empty.textContent = 'No Chrome bookmark folders available to link.';
+    list.appendChild(empty);
+  }
+
+  for (const folder of folders) {
+    const row = document.createElement('button');
+    row.className = 'folder-list-item';
+    row.style.paddingLeft = `${8 + folder.depth * 16}px`;
+    row.disabled = !folder.available;
+    if (folder.depth > 0 && !folder.available) {
+      row.title = 'Already linked to a space';
+    }
+
+    const title = document.createElement('span');
+    title.className = 'folder-list-title';
+    title.textContent = `\u{1F4C1} ${folder.title || 'Untitled folder'}`;
+
+    const count = document.createElement('span');
+    count.className = 'folder-list-count';
+    count.textContent = folder.bookmarkCount;
+
+    row.appendChild(title);
+    row.appendChild(count);
+    row.addEventListener('click', async () => {
+      linkModal.classList.add('hidden');
+      await handleLinkFolder(folder.id);
+    });
+    list.appendChild(row);
+  }
+
+  linkModal.classList.remove('hidden');
+}
+
+/**
+ * Turn an existing Chrome bookmark folder into a space linked to it
+ */
+async function handleLinkFolder(chromeId) {
+  const folder = await getChromeItem(chromeId);
+  if (!folder) {
+    alert('That folder no longer exists in Chrome bookmarks.');
+    return;
+  }
+
+  // Items keep their Chrome IDs, so the next sync finds nothing to change
+  const newBox = {
+    ...createBoxFromBookmarks(folder.children, folder.name),
+    chromeId,
+    linkedFolder: true, // Lives wherever it is in Chrome, not moved to the bookmarks bar
+  };
+  boxes.push(newBox);
+  expandedSpaceId = newBox.id;
+  saveExpandedSpaceId(expandedSpaceId);
+  save();
+  render();
+}
+
+/**
+ * Show the settings modal filled in with the current settings
+ */
+function showSettingsModal() {
+  const syncRoot = settings.syncRoot || 'bookmarksBar';
+  document.querySelectorAll('input[name="sync-root"]').forEach((radio) => {
+    radio.checked = radio.value === syncRoot;
+  });
+  document.getElementById('sync-root-folder-name').value = settings.syncRootFolderName || 'Disemb-Arc';
+  updateSyncRootInputs();
+  document.getElementById('trash-retention-days').value = settings.trashRetentionDays || 30;
+  document.getElementById('snapshot-limit').value = settings.snapshotLimit || 20;
+  document.getElementById('snapshot-max-size').value = Math.round((settings.snapshotMaxSize || 2 * 1024 * 1024) / (1024 * 1024));
+
+  document.getElementById('settings-modal').classList.remove('hidden');
+}
+
+/**
+ * Only allow editing the folder name when a dedicated folder is chosen
+ */
+function updateSyncRootInputs() {
+  const selected = document.querySelector('input[name="sync-root"]:checked');
+  document.getElementById('sync-root-folder-name').disabled = selected?.value !== 'folder';
+}
+
+/**
+ * Save settings from the settings modal, moving space folders if the
+ * Chrome bookmarks location changed
+ */
+async function handleSaveSettings() {
+  const saveBtn = document.getElementById('settings-save');
+  const syncRoot = document.querySelector('input[name="sync-root"]:checked')?.value || 'bookmarksBar';
+  const syncRootFolderName = document.getElementById('sync-root-folder-name').value.trim() || 'Disemb-Arc';
+  const trashRetentionDays = Math.max(1, parseInt(document.getElementById('trash-retention-days').value, 10) || 1);
+  const snapshotLimit = Math.max(1, parseInt(document.getElementById('snapshot-limit').value, 10) || 1);
+  const snapshotMaxSize = Math.max(1, parseInt(document.getElementById('snapshot-max-size').value, 10) || 1) * 1024 * 1024;
+
+  const rootChanged = syncRoot !== settings.syncRoot ||
+    (syncRoot === 'folder' && syncRootFolderName !== settings.syncRootFolderName);
+  const previousSettings = settings;
+  const changes = { syncRoot, syncRootFolderName, trashRetentionDays, snapshotLimit, snapshotMaxSize };
+  settings = { ...settings, ...changes };
+
+  saveBtn.disabled = true;
+  try {
+    await saveSettings(changes);
+    await purgeExpiredTrash();
+    await trimSnapshots();
+    if (rootChanged) {
+      await requestChangeSyncRoot(previousSettings);
+    }
+  } finally {
+    saveBtn.disabled = false;
+  }
+
+  document.getElementById('settings-modal').classList.add('hidden');
+}
+
+/**
+ * Download a backup file of all stored data
+ */
+async function handleExportBackup() {
+  const data = await loadData();
+  const blob = new Blob([createBackupFile(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getBackupFileName();
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download a bookmarks HTML file of the given spaces
+ */
+function exportBookmarksHtml(exportedBoxes) {
+  const blob = new Blob([createBookmarksHtml(exportedBoxes)], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getBookmarksHtmlFileName(exportedBoxes);
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the spaces that can be exported to bookmarks HTML, all of them ticked
+ */
+function showExportModal() {
+  const list = document.getElementById('export-space-list');
+  list.innerHTML = '';
+
+  for (const box of boxes) {
+    const row = document.createElement('label');
+    row.className = 'folder-list-row';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = box.id;
+    checkbox.checked = true;
+    checkbox.addEventListener('change', updateExportButton);
+
+    const dot = document.createElement('span');
+    dot.className = 'space-color-dot';
+    dot.style.backgroundColor = box.color;
+
+    const title = document.createElement('span');
+    title.className = 'folder-list-title';
+    title.textContent = box.title || 'Untitled';
+
+    const { folders, bookmarks } = summarizeBoxes([box]);
+    const count = document.createElement('span');
+    count.className = 'folder-list-count';
+    count.textContent = `${bookmarks} bookmark(s), ${folders} folder(s)`;
+
+    row.appendChild(checkbox);
+    row.appendChild(dot);
+    row.appendChild(title);
+    row.appendChild(count);
+    list.appendChild(row);
+  }
+
+  updateExportButton();
+  document.getElementById('export-modal').classList.remove('hidden');
+}
+
+/**
+ * Only allow exporting once at least one space is ticked
+ */
+function updateExportButton() {
+  const checked = document.querySelectorAll('#export-space-list input:checked').length;
+  const exportBtn = document.getElementById('export-confirm-btn');
+  exportBtn.disabled = checked === 0;
+  exportBtn.textContent = checked === boxes.length ? 'Export all' : `Export ${checked} space(s)`;
+}
+
+/**
+ * Export the ticked spaces, in the order they are shown
+ */
+function handleExportSelectedSpaces() {
+  const ids = new Set([...document.querySelectorAll('#export-space-list input:checked')].map((checkbox) => checkbox.value));
+  const exportedBoxes = boxes.filter((box) => ids.has(box.id));
+  if (exportedBoxes.length === 0) return;
+
+  document.getElementById('export-modal').classList.add('hidden');
+  exportBookmarksHtml(exportedBoxes);
+}
+
+/**
+ * Read a backup file and show what restoring it would do
+ */
+function handleRestoreFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    try {
+      pendingRestore = parseBackupFile(event.target.result);
+    } catch (err) {
+      console.error('Error reading backup:', err);
+      alert(`This backup can't be restored. ${err.message}`);
+      return;
+    }
+    showRestoreModal();
+  };
+  reader.readAsText(file);
+
+  // Reset file input so the same file can be chosen again
+  e.target.value = '';
+}
+
+/**
+ * Show the restore modal with a summary of the backup
+ */
+function showRestoreModal() {
+  const { exportedAt, data } = pendingRestore;
+  const backup = summarizeBoxes(data.boxes);
+  const current = summarizeBoxes(boxes);
+  const date = exportedAt ? new Date(exportedAt).toLocaleString() : 'an unknown date';
+
+  document.getElementById('restore-summary').textContent =
+    `Backup from ${date}: ${backup.spaces} space(s), ${backup.folders} folder(s) and ` +
+    `${backup.bookmarks} bookmark(s). You now have ${current.spaces} space(s), ` +
+    `${current.folders} folder(s) and ${current.bookmarks} bookmark(s).`;
+
+  document.getElementById('settings-modal').classList.add('hidden');
+  document.getElementById('restore-modal').classList.remove('hidden');
+}
+
+/**
+ * Restore the pending backup, merging it into the current spaces or
+ * replacing them. Chrome bookmarks follow through the next sync.
+ */
+async function handleRestore(mode) {
+  if (!pendingRestore) return;
+  const { data } = pendingRestore;
+  pendingRestore = null;
+  document.getElementById('restore-modal').classList.add('hidden');
+
+  await saveSnapshot(boxes, 'restore', 'Before restoring a backup');
+  const restored = relinkRestoredBoxes(data.boxes, boxes);
+
+  if (mode === 'replace') {
+    // Where space folders are kept belongs to this computer, not the backup
+    const { syncRoot, syncRootFolderName, syncRootFolderId, ...restoredSettings } = data.settings || {};
+    settings = { ...settings, ...restoredSettings };
+    await saveSettings(restoredSettings);
+    await replaceBoxes(restored);
+  } else {
+    boxes = mergeRestoredBoxes(boxes, restored);
+    await showRestoredBoxes();
+  }
+}
+
+/**
+ * Replace the spaces with restored ones, removing the Chrome folders of
+ * spaces they don't have
+ */
+async function replaceBoxes(restored) {
+  const restoredIds = new Set(restored.map((box) => box.id));
+  for (const box of boxes) {
+    if (!restoredIds.has(box.id) && getSyncMode(box) === 'synced') {
+      await removeFromChrome(requestRemoveSpace, box);
+    }
+  }
+  boxes = restored;
+  await showRestoredBoxes();
+}
+
+/**
+ * Remove a space's or item's Chrome bookmarks through the background service
+ * worker. A failure is logged rather than thrown, so the edit still goes
+ * ahead here. Returns whether they were removed.
+ */
+async function removeFromChrome(request, entry) {
+  try {
+    await request(entry);
+    return true;
+  } catch (err) {
+    console.warn('Failed to remove from Chrome bookmarks:', err);
+    return false;
+  }
+}
+
+/**
+ * Render and save restored spaces, keeping a restored space expanded
+ */
+async function showRestoredBoxes() {
+  if (!boxes.some((box) => box.id === expandedSpaceId)) {
+    expandedSpaceId = boxes.length > 0 ? boxes[0].id : null;
+    saveExpandedSpaceId(expandedSpaceId);
+  }
+  render();
+  await saveAndSync();
+}
+
+/**
+ * Show the Trash, after purging what has been there too long
+ */
+async function showTrashModal() {
+  await purgeExpiredTrash();
+  await renderTrashList();
+  document.getElementById('trash-modal').classList.remove('hidden');
+}
+
+/**
+ * List the deleted spaces and items in the Trash, with where they were
+ */
+async function renderTrashList() {
+  const list = document.getElementById('trash-list');
+  const trash = await loadTrash();
+  list.innerHTML = '';
+  document.getElementById('trash-empty-btn').disabled = trash.length === 0;
+
+  if (trash.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'modal-hint';
+    empty.textContent = 'The Trash is empty.';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const trashed of trash) {
+    const row = document.createElement('div');
+    row.className = 'history-item';
+
+    const summary = document.createElement('div');
+    summary.className = 'history-summary';
+    summary.textContent = getTrashedName(trashed);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const location = trashed.kind === 'space' ? 'Space' : `${TRASH_KIND_LABELS[trashed.kind]} in ${trashed.path.join(' / ')}`;
+    meta.textContent = `${location} \u00B7 deleted ${new Date(trashed.deletedAt).toLocaleString()}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'conflict-actions';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'tree-add-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => handleRestoreTrashed(trashed));
+
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'tree-add-btn';
+    purgeBtn.textContent = 'Delete forever';
+    purgeBtn.addEventListener('click', () => handlePurgeTrashed(trashed));
+
+    actions.appendChild(restoreBtn);
+    actions.appendChild(purgeBtn);
+    row.appendChild(summary);
+    row.appendChild(meta);
+    row.appendChild(actions);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Name of a trashed space or item
+ */
+function getTrashedName(trashed) {
+  const { entry } = trashed;
+  return (trashed.kind === 'space' ? entry.title : entry.name) || 'Untitled';
+}
+
+/**
+ * Put a trashed space or item back where it was
+ */
+async function handleRestoreTrashed(trashed) {
+  let box = null;
+
+  // Unless it's already back, e.g. through undo
+  if (!collectIds(boxes).has(trashed.entry.id)) {
+    expandedSpaceId = restoreTrashed(boxes, trashed);
+    saveExpandedSpaceId(expandedSpaceId);
+    box = findBox(expandedSpaceId);
+  }
+  await removeFromTrash([trashed.id]);
+  render();
+  await renderTrashList();
+
+  // Only synced spaces get their Chrome bookmarks recreated
+  if (box && getSyncMode(box) === 'synced') {
+    await saveAndSync();
+  } else {
+    await saveBoxes();
+  }
+}
+
+/**
+ * Permanently delete a trashed space or item
+ */
+async function handlePurgeTrashed(trashed) {
+  if (!confirm(`Permanently delete "${getTrashedName(trashed)}"? This can't be undone.`)) return;
+  await removeFromTrash([trashed.id]);
+  await renderTrashList();
+}
+
+/**
+ * Permanently delete everything in the Trash
+ */
+async function handleEmptyTrash() {
+  const trash = await loadTrash();
+  if (!confirm(`Permanently delete ${trash.length} item(s) in the Trash? This can't be undone.`)) return;
+  await removeFromTrash(trash.map((trashed) => trashed.id));
+  await renderTrashList();
+}
+
+/**
+ * Show the history of snapshots
+ */
+async function showHistoryModal() {
+  await renderHistoryList();
+  document.getElementById('settings-modal').classList.add('hidden');
+  document.getElementById('history-modal').classList.remove('hidden');
+}
+
+/**
+ * List the snapshots in the history, with when and why each was taken and
+ * what it holds
+ */
+async function renderHistoryList() {
+  const list = document.getElementById('history-list');
+  const snapshots = await loadSnapshots();
+  list.innerHTML = '';
+
+  if (snapshots.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'modal-hint';
+    empty.textContent = 'No snapshots yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const snapshot of snapshots) {
+    const { spaces, bookmarks } = summarizeBoxes(snapshot.data.boxes);
+    const row = document.createElement('div');
+    row.className = 'history-item';
+
+    const summary = document.createElement('div');
+    summary.className = 'history-summary';
+    summary.textContent = snapshot.label;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = `${new Date(snapshot.createdAt).toLocaleString()} \u00B7 ` +
+      `${spaces} space(s), ${bookmarks} bookmark(s)`;
+
+    const diff = document.createElement('div');
+    diff.className = 'history-diff hidden';
+
+    const actions = document.createElement('div');
+    actions.className = 'conflict-actions';
+
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'tree-add-btn';
+    compareBtn.textContent = 'Compare';
+    compareBtn.addEventListener('click', () => {
+      if (diff.classList.toggle('hidden')) return;
+      renderSnapshotDiff(diff, snapshot);
+    });
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'tree-add-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => handleRestoreSnapshot(snapshot));
+
+    actions.appendChild(compareBtn);
+    actions.appendChild(restoreBtn);
+    row.appendChild(summary);
+    row.appendChild(meta);
+    row.appendChild(actions);
+    row.appendChild(diff);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * List what changed in the spaces since a snapshot was taken
+ */
+function renderSnapshotDiff(container, snapshot) {
+  const changes = diffBoxes(snapshot.data.boxes, boxes);
+  container.innerHTML = '';
+
+  if (changes.length === 0) {
+    container.textContent = 'Nothing has changed since this snapshot.';
+    return;
+  }
+
+  for (const { change, kind, name, path, previous } of changes) {
+    const line = document.createElement('div');
+    line.className = `history-change ${change}`;
+
+    let text = `${HISTORY_CHANGE_LABELS[change]} ${kind} "${name || 'Untitled'}"`;
+    if (path.length > 0) text += ` in ${path.join(' / ')}`;
+    if (change === 'renamed') text += ` (was "${previous || 'Untitled'}")`;
+    if (change === 'moved') text += ` (from ${previous.join(' / ')})`;
+    if (change === 'edited') line.title = `Was ${previous}`;
+
+    line.textContent = text;
+    container.appendChild(line);
+  }
+}
+
+/**
+ * Replace the spaces with a snapshot's, after taking a snapshot of them
+ */
+async function handleRestoreSnapshot(snapshot) {
+  const date = new Date(snapshot.createdAt).toLocaleString();
+  if (!confirm(`Replace your spaces with the snapshot from ${date}? A snapshot of your current spaces is taken first.`)) {
+    return;
+  }
+  document.getElementById('history-modal').classList.add('hidden');
+
+  await saveSnapshot(boxes, 'restore', `Before restoring the snapshot from ${date}`);
+  await replaceBoxes(relinkRestoredBoxes(snapshot.data.boxes, boxes));
+}
+
+/**
+ * Show whether Chrome bookmarks are in sync in the banner
+ */
+function renderSyncStatus(status) {
+  syncStatus = status;
+  const statusBtn = document.getElementById('sync-status-btn');
+  const count = status.failures.length;
+
+  statusBtn.classList.remove('synced', 'syncing', 'error');
+  statusBtn.classList.add(status.state);
+  if (status.state === 'syncing') {
+    statusBtn.textContent = 'Syncing\u2026';
+  } else if (status.state === 'error') {
+    statusBtn.textContent = `\u26A0 ${count} sync error${count === 1 ? '' : 's'}`;
+  } else {
+    statusBtn.textContent = '\u2713 Synced';
+  }
+
+  // Keep an open details view current as retries succeed or fail
+  if (!document.getElementById('sync-status-modal').classList.contains('hidden')) {
+    renderSyncFailureList();
+  }
+}
+
+/**
+ * Show the sync status modal
+ */
+function showSyncStatusModal() {
+  renderSyncFailureList();
+  document.getElementById('sync-status-modal').classList.remove('hidden');
+}
+
+/**
+ * List the Chrome bookmark writes that failed, why, and when they're retried
+ */
+function renderSyncFailureList() {
+  const list = document.getElementById('sync-failure-list');
+  const { failures } = syncStatus;
+  list.innerHTML = '';
+
+  document.getElementById('sync-retry-btn').disabled = failures.length === 0;
+  document.getElementById('sync-clear-btn').disabled = failures.length === 0;
+
+  if (failures.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'modal-hint';
+    empty.textContent = 'All changes are synced to Chrome bookmarks.';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const failure of failures) {
+    const row = document.createElement('div');
+    row.className = 'sync-failure';
+
+    const summary = document.createElement('div');
+    summary.className = 'sync-failure-summary';
+    summary.textContent = `${SYNC_FAILURE_LABELS[failure.type]} "${failure.title || 'Untitled'}"`;
+
+    const error = document.createElement('div');
+    error.className = 'sync-failure-error';
+    error.textContent = failure.error;
+
+    const meta = document.createElement('div');
+    meta.className = 'sync-failure-meta';
+    const attempts = `${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'}`;
+    meta.textContent = `${attempts}, next retry ${new Date(failure.nextRetryAt).toLocaleTimeString()}`;
+    meta.title = `First failed ${new Date(failure.firstFailedAt).toLocaleString()}`;
+
+    row.appendChild(summary);
+    row.appendChild(error);
+    row.appendChild(meta);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Collect every space and item with an unresolved sync conflict
+ * Returns [{ box, entry, path }], where path names the folders leading to it
+ */
+function collectConflicts() {
+  const conflicts = [];
+
+  const visit = (box, items, path) => {
+    for (const item of items) {
+      if (item.conflict) conflicts.push({ box, entry: item, path });
+      if (item.children) visit(box, item.children, [...path, item.name]);
+    }
+  };
+  for (const box of boxes) {
+    if (box.conflict) conflicts.push({ box, entry: box, path: [] });
+    visit(box, box.items, [box.title]);
+  }
+
+  return conflicts;
+}
+
+/**
+ * Show the sync conflicts modal
+ */
+function showConflictsModal() {
+  renderConflictList();
+  document.getElementById('conflicts-modal').classList.remove('hidden');
+}
+
+/**
+ * List each conflict with the app's and Chrome's values and resolve actions
+ */
+function renderConflictList() {
+  const list = document.getElementById('conflict-list');
+  list.innerHTML = '';
+
+  const conflicts = collectConflicts();
+  if (conflicts.length === 0) {
+    document.getElementById('conflicts-modal').classList.add('hidden');
+    return;
+  }
+
+  for (const { box, entry, path } of conflicts) {
+    const isBookmark = entry.type === 'bookmark';
+    const row = document.createElement('div');
+    row.className = 'conflict-item';
+
+    const location = document.createElement('div');
+    location.className = 'conflict-location';
+    location.textContent = path.length > 0 ? path.join(' / ') : 'Space title';
+
+    const appValue = document.createElement('div');
+    appValue.className = 'conflict-value';
+    appValue.textContent = `App: ${entry.items ? entry.title : entry.name}${isBookmark ? ` (${entry.url})` : ''}`;
+    if (entry.modifiedAt) {
+      appValue.title = `Edited ${new Date(entry.modifiedAt).toLocaleString()}`;
+    }
+
+    const chromeValue = document.createElement('div');
+    chromeValue.className = 'conflict-value';
+    chromeValue.textContent = `Chrome: ${entry.conflict.title}${isBookmark ? ` (${entry.conflict.url})` : ''}`;
+    chromeValue.title = `Detected ${new Date(entry.conflict.detectedAt).toLocaleString()}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'conflict-actions';
+
+    const addAction = (text, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'tree-add-btn';
+      btn.textContent = text;
+      btn.addEventListener('click', () => {
+        onClick();
+        save();
+        render();
+        renderConflictList();
+      });
+      actions.appendChild(btn);
+    };
+
+    addAction('Keep app', () => resolveConflict(entry, 'app'));
+    addAction('Keep Chrome', () => resolveConflict(entry, 'chrome'));
+    if (isBookmark) {
+      addAction('Keep both', () => keepBothVersions(box, entry));
+    }
+
+    row.appendChild(location);
+    row.appendChild(appValue);
+    row.appendChild(chromeValue);
+    row.appendChild(actions);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Resolve a bookmark conflict by keeping both versions: a copy with Chrome's
+ * values stays linked to the Chrome bookmark, and the app's version is added
+ * to Chrome as a new bookmark next to it
+ */
+function keepBothVersions(box, item) {
+  const parent = findParentById(box.items, item.id);
+  const siblings = parent ? parent.children : box.items;
+
+  const { conflict, ...rest } = item;
+  const chromeCopy = {
+    ...rest,
+    id: generateId(),
+    name: conflict.title,
+    url: conflict.url,
+    lastSynced: { title: conflict.title, url: conflict.url },
+  };
+
+  delete item.conflict;
+  delete item.chromeId;
+  delete item.lastSynced;
+  siblings.splice(siblings.indexOf(item) + 1, 0, chromeCopy);
+}
+
+/**
+ * Show the duplicate sync folders modal
  */
-function render() {
-  canvas.innerHTML = '';
+async function showDuplicatesModal() {
+  document.getElementById('settings-modal').classList.add('hidden');
+  await renderDuplicateList();
+  document.getElementById('duplicates-modal').classList.remove('hidden');
+}
 
-  if (boxes.length === 0) {
-    renderEmptyState();
+/**
+ * List orphaned copies of space folders with merge and remove actions
+ */
+async function renderDuplicateList() {
+  const list = document.getElementById('duplicate-list');
+  list.innerHTML = '';
+
+  const duplicates = await requestDuplicateSyncFolders();
+  if (duplicates.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'folder-list-empty';
+    empty.textContent = 'No duplicate sync folders found.';
+    list.appendChild(empty);
     return;
   }
 
-  boxes.forEach((box) => {
-    const isExpanded = box.id === expandedSpaceId;
-    const boxEl = renderBox(box, handlers, isExpanded);
-    canvas.appendChild(boxEl);
-  });
+  for (const duplicate of duplicates) {
+    const row = document.createElement('div');
+    row.className = 'folder-list-row';
+
+    const title = document.createElement('span');
+    title.className = 'folder-list-title';
+    title.textContent = `\u{1F4C1} ${duplicate.title}`;
+    title.title = `In ${duplicate.location}`;
+
+    const count = document.createElement('span');
+    count.className = 'folder-list-count';
+    count.textContent = `${duplicate.bookmarkCount} bookmark(s)`;
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'tree-add-btn';
+    mergeBtn.textContent = 'Merge';
+    mergeBtn.title = 'Add its bookmarks to the space, then remove the copy';
+    mergeBtn.addEventListener('click', () => handleMergeDuplicate(duplicate));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'tree-add-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.title = 'Remove the copy from Chrome bookmarks';
+    removeBtn.addEventListener('click', () => handleRemoveDuplicate(duplicate));
+
+    row.appendChild(title);
+    row.appendChild(count);
+    row.appendChild(mergeBtn);
+    row.appendChild(removeBtn);
+    list.appendChild(row);
+  }
 }
 
 /**
- * Render empty state
+ * Merge a duplicate folder into its space, then remove what's left of it
  */
-function renderEmptyState() {
-  const empty = document.createElement('div');
-  empty.className = 'empty-state';
-  empty.innerHTML = `
-    <div class="empty-state-icon">&#128230;</div>
-    <div class="empty-state-text">No bookmark boxes yet</div>
-    <div class="empty-state-hint">Click the + button to create your first box</div>
-  `;
-  canvas.appendChild(empty);
+async function handleMergeDuplicate(duplicate) {
+  const box = findBox(duplicate.boxId);
+  if (!box) return;
+
+  await mergeDuplicateFolder(box, duplicate.chromeId);
+  // Move the merged bookmarks into the space's folder before removing the copy
+  await saveAndSync();
+  await requestRemoveDuplicateFolder(duplicate.chromeId);
+  render();
+  await renderDuplicateList();
 }
 
 /**
- * Handle adding a new box
+ * Remove a duplicate folder from Chrome without merging it
  */
-function handleAddBox() {
-  const newBox = createEmptyBox();
-  boxes.push(newBox);
-  expandedSpaceId = newBox.id; // Expand the newly created box
-  saveExpandedSpaceId(expandedSpaceId);
-  save();
-  render();
+async function handleRemoveDuplicate(duplicate) {
+  if (!confirm(`Remove "${duplicate.title}" and its ${duplicate.bookmarkCount} bookmark(s) from Chrome bookmarks?`)) {
+    return;
+  }
+  await requestRemoveDuplicateFolder(duplicate.chromeId);
+  await renderDuplicateList();
 }
 
 /**
- * Handle importing bookmarks from file
+ * Handle keyboard shortcuts
  */
-function handleImport(e) {
-  const file = e.target.files[0];
-  if (!file) return;
+function handleKeyDown(e) {
+  // Open the command palette with Ctrl/Cmd+K
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    showPalette();
+    return;
+  }
 
-  const reader = new FileReader();
-  reader.onload = (event) => {
-    const content = event.target.result;
-    const isJson = file.name.endsWith('.json');
+  // Undo with Ctrl/Cmd+Z and redo with Shift+Ctrl/Cmd+Z, leaving text
+  // being edited to undo its own typing
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    const activeEl = document.activeElement;
+    if (activeEl.tagName === 'INPUT' && !activeEl.readOnly) return;
+    e.preventDefault();
+    handleUndo(e.shiftKey);
+    return;
+  }
 
-    if (isJson) {
-      // Handle Arc's StorableSidebar.json format
-      handleArcImport(content);
-    } else {
-      // Handle standard HTML bookmark format
-      handleHtmlImport(content, file.name);
+  // Switch the expanded space with Alt+1..9 and Alt+PageUp / Alt+PageDown,
+  // since Chrome keeps Ctrl+1..9 and Ctrl+Tab for switching tabs. Digits are
+  // read from the key's position, as Alt+digit types a symbol on macOS.
+  if (!e.altKey || e.ctrlKey || e.metaKey || boxes.length === 0) return;
+  const activeEl = document.activeElement;
+  if (activeEl.tagName === 'INPUT' && !activeEl.readOnly) return;
+  const digit = /^Digit([1-9])$/.exec(e.code);
+  if (digit) {
+    const box = boxes[Number(digit[1]) - 1];
+    if (box) {
+      e.preventDefault();
+      handlers.onSelectSpace(box.id);
     }
-  };
+    return;
+  }
+  if (e.key === 'PageUp' || e.key === 'PageDown') {
+    e.preventDefault();
+    const index = boxes.findIndex((box) => box.id === expandedSpaceId);
+    const next = boxes[(index + (e.key === 'PageUp' ? -1 : 1) + boxes.length) % boxes.length];
+    handlers.onSelectSpace(next.id);
+  }
+}
 
-  reader.readAsText(file);
+/**
+ * Handle messages from the background service worker
+ */
+function handleBackgroundMessage(message) {
+  switch (message.type) {
+    case 'syncStatus':
+      renderSyncStatus(message.status);
+      break;
+  }
+}
 
-  // Reset file input so the same file can be imported again
-  e.target.value = '';
+/**
+ * Merge data saved by another tab or the background service worker (e.g.
+ * Chrome IDs or a change made in Chrome) into this tab's state
+ * Edits not saved yet are kept and saved on top of it next.
+ */
+function handleStoredDataChange(data) {
+  // This tab's own save, or one older than what it already has
+  if ((data.revision || 0) <= revision) return;
+  // Saved by a newer version of the extension, which this tab can't read
+  if ((data.schemaVersion || 0) > SCHEMA_VERSION) return;
+
+  const storedBoxes = data.boxes || [];
+  boxes = mergeBoxes(baseBoxes, boxes, storedBoxes);
+  baseBoxes = structuredClone(storedBoxes);
+  revision = data.revision;
+  settings = data.settings || {};
+
+  if (!boxes.some((box) => box.id === expandedSpaceId)) {
+    expandedSpaceId = boxes.length > 0 ? boxes[0].id : null;
+  }
+  render();
 }
 
 /**
- * Handle HTML bookmark file import
+ * Save boxes to storage and sync to Chrome (debounced)
  */
-function handleHtmlImport(html, filename) {
-  const items = parseBookmarksHtml(html);
+const save = debounce(saveAndSync, 300);
 
-  if (items.length === 0) {
-    alert('No bookmarks found in the file.');
+/**
+ * Save boxes to storage, merged into anything saved elsewhere since this tab
+ * last loaded or saved. A failed save is shown in a toast; the edits stay on
+ * the page and are saved with the next one.
+ */
+async function saveBoxes() {
+  let saved;
+  try {
+    saved = await saveBoxesFrom(revision, boxes,
+      (storedBoxes) => mergeBoxes(baseBoxes, boxes, storedBoxes));
+  } catch (err) {
+    console.error('Failed to save spaces:', err);
+    showToast(`Your changes couldn't be saved: ${err.message}`);
     return;
   }
 
-  // Get filename without extension for the box title
-  const title = filename.replace(/\.[^/.]+$/, '').replace(/_/g, ' ');
-
-  const newBox = createBoxFromBookmarks(items, title);
-  boxes.push(newBox);
-  expandedSpaceId = newBox.id; // Expand the imported box
-  saveExpandedSpaceId(expandedSpaceId);
-  save();
-  render();
+  if (saved.boxes !== boxes) {
+    boxes = saved.boxes;
+    render();
+  }
+  revision = saved.revision;
+  baseBoxes = structuredClone(saved.boxes);
 }
 
 /**
- * Handle Arc Browser JSON import
+ * Save boxes to storage, then have the background service worker sync them
+ * to Chrome. It saves the Chrome IDs, which arrive as a storage change.
  */
-function handleArcImport(jsonContent) {
+async function saveAndSync() {
+  await saveBoxes();
   try {
-    const spaces = parseArcJson(jsonContent);
+    await requestSync();
+  } catch (err) {
+    console.warn('Failed to sync Chrome bookmarks:', err);
+  }
+}
 
-    if (spaces.length === 0) {
-      alert('No bookmarks found in the Arc data file. Make sure you selected the correct StorableSidebar.json file.');
-      return;
+/**
+ * Wrap an edit handler so its edit can be undone. label names the edit, or
+ * is a function of the handler's arguments that does; with { toast: true }
+ * a toast offers to undo it right away.
+ */
+function undoable(label, handler, { toast = false } = {}) {
+  return async (...args) => {
+    const before = structuredClone(boxes);
+    const name = typeof label === 'function' ? label(...args) : label;
+    await handler(...args);
+    if (recordEdit(name, before, boxes) && toast) {
+      showUndoToast(name);
     }
+  };
+}
 
-    const newBoxes = createBoxesFromArcSpaces(spaces);
-    const previousCount = boxes.length;
+/**
+ * Undo the last edit, or redo the last undone one. Spaces it takes away
+ * have their Chrome folders removed; Chrome bookmarks follow everything
+ * else through the next sync.
+ */
+async function handleUndo(redo) {
+  const step = redo ? redoEdit(boxes) : undoEdit(boxes);
+  if (!step) return;
+
+  hideToast();
+  await replaceBoxes(step.boxes);
+
+  // Deletions undone are taken out of the Trash
+  const ids = collectIds(boxes);
+  const trash = await loadTrash();
+  const undeleted = trash.filter((trashed) => ids.has(trashed.entry.id));
+  if (undeleted.length > 0) {
+    await removeFromTrash(undeleted.map((trashed) => trashed.id));
+  }
+}
 
-    // Merge with existing boxes, avoiding duplicates
-    boxes = mergeArcSpaces(boxes, newBoxes);
+/**
+ * Show a toast with an Undo button for an edit that just happened
+ */
+function showUndoToast(message) {
+  showToast(message, true);
+}
 
-    const addedCount = boxes.length - previousCount;
-    const updatedCount = spaces.length - addedCount;
+/**
+ * Show a short message at the bottom of the page, with an Undo button if
+ * it's about an edit
+ */
+function showToast(message, undo = false) {
+  document.getElementById('toast-message').textContent = message;
+  document.getElementById('toast-undo-btn').classList.toggle('hidden', !undo);
+  document.getElementById('toast').classList.remove('hidden');
 
-    // Expand the first imported space if nothing was expanded
-    if (!expandedSpaceId && boxes.length > 0) {
-      expandedSpaceId = boxes[0].id;
-      saveExpandedSpaceId(expandedSpaceId);
-    }
-    save();
-    render();
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, TOAST_DURATION);
+}
 
-    if (addedCount > 0 && updatedCount > 0) {
-      alert(`Imported ${addedCount} new space(s) and updated ${updatedCount} existing space(s) from Arc Browser!`);
-    } else if (addedCount > 0) {
-      alert(`Successfully imported ${addedCount} space(s) from Arc Browser!`);
-    } else {
-      alert(`Updated ${updatedCount} existing space(s) from Arc Browser!`);
-    }
-  } catch (err) {
-    console.error('Error parsing Arc JSON:', err);
-    alert('Error parsing the file. Make sure you selected a valid Arc StorableSidebar.json file.');
-  }
+function hideToast() {
+  clearTimeout(toastTimer);
+  document.getElementById('toast').classList.add('hidden');
 }
 
 /**
- * Handle keyboard shortcuts
+ * Show the bulk actions bar while several items are selected
  */
-function handleKeyDown(e) {
-  // Delete selected item with Delete or Backspace key
-  if (e.key === 'Delete' || e.key === 'Backspace') {
-    const activeEl = document.activeElement;
-    if (activeEl.tagName === 'INPUT') return;
-    // Could implement selection state here
-  }
+function renderSelectionBar() {
+  const { boxId, itemIds } = getSelection();
+  const editable = Boolean(findEditableBox(boxId));
+
+  document.getElementById('selection-count').textContent = `${itemIds.length} selected`;
+  document.getElementById('selection-move-btn').disabled = !editable;
+  document.getElementById('selection-delete-btn').disabled = !editable;
+  document.getElementById('selection-bar').classList.toggle('hidden', itemIds.length < 2);
+}
+
+/**
+ * The selected items, in tree order, along with their space
+ */
+function getSelectedItems() {
+  const { boxId, itemIds } = getSelection();
+  const box = findBox(boxId);
+  if (!box) return { box: null, items: [] };
+  return { box, items: getTopLevelIds(box, itemIds).map((id) => findItemById(box.items, id)) };
 }
 
 /**
- * Handle changes from Chrome bookmarks (two-way sync)
+ * The bookmarks among the selected items, including those in selected folders
  */
-async function handleChromeBookmarkChange(eventType, data) {
-  const { id, bookmark, changeInfo, removeInfo, moveInfo } = data;
+function getSelectedBookmarks() {
+  const bookmarks = [];
+  const visit = (items) => items.forEach((item) => {
+    if (item.type === 'bookmark') bookmarks.push(item);
+    else visit(item.children || []);
+  });
+  visit(getSelectedItems().items);
+  return bookmarks;
+}
 
-  switch (eventType) {
-    case 'created': {
-      // A bookmark was created in Chrome - add it to our data if it's in a synced folder
-      const parentSpace = findParentSpace(boxes, bookmark.parentId);
-      if (parentSpace) {
-        // Find the parent item (folder) in our structure
-        const parentResult = findItemByChromeId(boxes, bookmark.parentId);
-        const newItem = bookmark.url
-          ? { id: generateId(), type: 'bookmark', name: bookmark.title, url: bookmark.url, chromeId: id }
-          : { id: generateId(), type: 'folder', name: bookmark.title, expanded: true, children: [], chromeId: id };
+/**
+ * Show the spaces and folders the selected items can be moved into
+ */
+function showMoveModal() {
+  const { box: sourceBox, items } = getSelectedItems();
+  if (!sourceBox) return;
+
+  const moveModal = document.getElementById('move-modal');
+  const list = document.getElementById('move-target-list');
+  const selectedIds = new Set(items.map((item) => item.id));
+  list.innerHTML = '';
+
+  const addTarget = (box, folder, depth) => {
+    const row = document.createElement('button');
+    row.className = 'folder-list-item';
+    row.style.paddingLeft = `${8 + depth * 16}px`;
+
+    const title = document.createElement('span');
+    title.className = 'folder-list-title';
+    title.textContent = folder ? `\u{1F4C1} ${folder.name || 'Untitled folder'}` : box.title || 'Untitled';
+    row.appendChild(title);
+
+    row.addEventListener('click', () => {
+      moveModal.classList.add('hidden');
+      handlers.onMoveItems(sourceBox.id, items.map((item) => item.id), box.id, folder ? folder.id : null);
+      clearSelection();
+      renderSelectionBar();
+    });
+    list.appendChild(row);
+  };
 
-        if (parentResult && parentResult.type === 'folder') {
-          parentResult.item.children = parentResult.item.children || [];
-          parentResult.item.children.push(newItem);
-        } else if (parentResult && parentResult.type === 'space') {
-          parentResult.item.items.push(newItem);
-        }
-        saveBoxes(boxes);
-        render();
-      }
-      break;
+  // Folders being moved can't hold themselves, so they and theirs are left out
+  const addFolders = (box, children, depth) => {
+    for (const item of children) {
+      if (item.type !== 'folder' || selectedIds.has(item.id)) continue;
+      addTarget(box, item, depth);
+      addFolders(box, item.children || [], depth + 1);
     }
+  };
+  for (const box of boxes) {
+    if (getSyncMode(box) === 'mirror') continue;
+    addTarget(box, null, 0);
+    addFolders(box, box.items, 1);
+  }
 
-    case 'removed': {
-      // A bookmark was removed in Chrome - remove from our data
-      const result = findItemByChromeId(boxes, id);
-      if (result) {
-        if (result.type === 'space') {
-          // A space folder was removed
-          const boxToRemove = result.item;
-          boxes = boxes.filter((b) => b.id !== boxToRemove.id);
-          if (expandedSpaceId === boxToRemove.id) {
-            expandedSpaceId = boxes.length > 0 ? boxes[0].id : null;
-            saveExpandedSpaceId(expandedSpaceId);
-          }
-        } else {
-          // An item was removed - find its parent and remove it
-          for (const box of boxes) {
-            if (removeItemByChromeId(box.items, id)) break;
-          }
-        }
-        saveBoxes(boxes);
-        render();
-      }
-      break;
-    }
+  moveModal.classList.remove('hidden');
+}
 
-    case 'changed': {
-      // A bookmark was changed in Chrome - update our data
-      const result = findItemByChromeId(boxes, id);
-      if (result) {
-        if (result.type === 'space') {
-          result.item.title = changeInfo.title || result.item.title;
-        } else {
-          result.item.name = changeInfo.title || result.item.name;
-          if (changeInfo.url && result.item.type === 'bookmark') {
-            result.item.url = changeInfo.url;
-          }
-        }
-        saveBoxes(boxes);
-        render();
-      }
-      break;
-    }
+/**
+ * Open every selected bookmark in a new tab
+ */
+function openSelectedBookmarks() {
+  const bookmarks = getSelectedBookmarks();
+  if (bookmarks.length > 10 && !confirm(`Open ${bookmarks.length} bookmarks in new tabs?`)) return;
 
-    case 'moved': {
-      // A bookmark was moved in Chrome - update our structure
-      // This is complex - for now, just re-sync
-      // TODO: Implement proper move handling
-      break;
+  for (const bookmark of bookmarks) {
+    if (typeof chrome !== 'undefined' && chrome.tabs) {
+      chrome.tabs.create({ url: bookmark.url, active: false });
+    } else {
+      window.open(bookmark.url, '_blank');
     }
   }
 }
 
 /**
- * Save boxes to storage and sync to Chrome (debounced)
+ * Copy the selected bookmarks as links: their URLs as plain text, and
+ * titled links for pasting into rich text
+ */
+async function copySelectedLinks() {
+  const bookmarks = getSelectedBookmarks();
+  const text = bookmarks.map((bookmark) => bookmark.url).join('\n');
+  const html = '<ul>' + bookmarks
+    .map((bookmark) => `<li><a href="${escapeHtml(bookmark.url)}">${escapeHtml(bookmark.name)}</a></li>`)
+    .join('') + '</ul>';
+
+  try {
+    await navigator.clipboard.write([new ClipboardItem({
+      'text/plain': new Blob([text], { type: 'text/plain' }),
+      'text/html': new Blob([html], { type: 'text/html' }),
+    })]);
+    showToast(`Copied ${bookmarks.length} link(s)`);
+  } catch (err) {
+    console.error('Failed to copy:', err);
+  }
+}
+
+/**
+ * Delete the selected items, after confirming
+ */
+function deleteSelectedItems() {
+  const { box, items } = getSelectedItems();
+  if (!box || !confirm(`Delete ${items.length} selected item(s)?`)) return;
+  handlers.onDeleteItems(box.id, items.map((item) => item.id));
+}
+
+/**
+ * Name a space deletion for undo
+ */
+function describeDeletedSpace(boxId) {
+  return `Deleted "${findBox(boxId)?.title || 'Untitled'}"`;
+}
+
+/**
+ * Name a deletion of items for undo
  */
-const save = debounce(async () => {
-  // Sync all spaces to Chrome
-  boxes = await syncAllSpacesToChrome(boxes);
-  saveBoxes(boxes);
-}, 300);
+function describeDeletedItems(boxId, itemIds) {
+  if (itemIds.length > 1) return `Deleted ${itemIds.length} items`;
+  const item = findItemById(findBox(boxId)?.items || [], itemIds[0]);
+  return `Deleted "${item?.name || 'Untitled'}"`;
+}
 
 /**
  * Find a box by ID
@@ -351,6 +1936,22 @@ function findBox(boxId) {
   return boxes.find((b) => b.id === boxId);
 }
 
+/**
+ * Find a box by ID, unless it is a read-only mirror of its Chrome folder
+ */
+function findEditableBox(boxId) {
+  const box = findBox(boxId);
+  return box && getSyncMode(box) !== 'mirror' ? box : null;
+}
+
+/**
+ * Clear the Chrome IDs of a box and all of its items
+ */
+function clearChromeIds(entry) {
+  delete entry.chromeId;
+  (entry.items || entry.children || []).forEach(clearChromeIds);
+}
+
 /**
  * Recursively set expanded state on all folders
  */
@@ -377,21 +1978,46 @@ const handlers = {
   },
 
   // Box handlers
-  onTitleChange(boxId, title) {
-    const box = findBox(boxId);
+  onTitleChange: undoable('Rename space', (boxId, title) => {
+    const box = findEditableBox(boxId);
     if (box) {
       box.title = title;
+      box.modifiedAt = Date.now();
       save();
     }
-  },
+  }),
 
-  onColorChange(boxId, color) {
+  onColorChange: undoable('Change space color', (boxId, color) => {
     const box = findBox(boxId);
     if (box) {
       box.color = color;
       save();
       render();
     }
+  }),
+
+  async onSyncModeChange(boxId, mode) {
+    const box = findBox(boxId);
+    if (!box || getSyncMode(box) === mode) return;
+
+    if (mode === 'mirror' && !box.chromeId) {
+      alert('This space has no Chrome bookmark folder to mirror yet.');
+      return;
+    }
+    if (mode === 'local' && box.chromeId &&
+        confirm('Also remove this space\'s folder from Chrome bookmarks?') &&
+        await removeFromChrome(requestRemoveSpace, box)) {
+      clearChromeIds(box);
+    }
+
+    box.syncMode = mode;
+    if (mode === 'mirror') {
+      // Pull the folder's current contents from Chrome before showing it
+      await saveAndSync();
+    } else {
+      save();
+    }
+    render();
   },
 
   onExpandAllFolders(boxId) {
@@ -412,11 +2038,20 @@ const handlers = {
     }
   },
 
-  async onDelete(boxId) {
+  onExportSpace(boxId) {
     const box = findBox(boxId);
-    if (box) {
-      // Remove from Chrome bookmarks
-      await removeSpaceFromChrome(box);
+    if (box) exportBookmarksHtml([box]);
+  },
+
+  onDelete: undoable(describeDeletedSpace, async (boxId) => {
+    const box = findBox(boxId);
+    if (!box) return;
+
+    await saveSnapshot(boxes, 'delete', `Before deleting "${box.title || 'Untitled'}"`);
+    await addToTrash([createTrashedSpace(boxes, box)]);
+    if (getSyncMode(box) === 'synced') {
+      // Remove from Chrome bookmarks (mirrored and local-only folders are kept)
+      await removeFromChrome(requestRemoveSpace, box);
     }
     boxes = boxes.filter((b) => b.id !== boxId);
     // If the deleted box was expanded, expand the first remaining box
@@ -424,9 +2059,9 @@ const handlers = {
       expandedSpaceId = boxes.length > 0 ? boxes[0].id : null;
       saveExpandedSpaceId(expandedSpaceId);
     }
-    saveBoxes(boxes);
+    saveBoxes();
     render();
-  },
+  }, { toast: true }),
 
   // Tree handlers
   onToggleExpand(boxId, itemId) {
@@ -441,30 +2076,32 @@ const handlers = {
     }
   },
 
-  onItemNameChange(boxId, itemId, name) {
-    const box = findBox(boxId);
+  onItemNameChange: undoable('Rename', (boxId, itemId, name) => {
+    const box = findEditableBox(boxId);
     if (box) {
       const item = findItemById(box.items, itemId);
       if (item) {
         item.name = name;
+        item.modifiedAt = Date.now();
         save();
       }
     }
-  },
+  }),
 
-  onItemUrlChange(boxId, itemId, url) {
-    const box = findBox(boxId);
+  onItemUrlChange: undoable('Change URL', (boxId, itemId, url) => {
+    const box = findEditableBox(boxId);
     if (box) {
       const item = findItemById(box.items, itemId);
       if (item && item.type === 'bookmark') {
         item.url = url;
+        item.modifiedAt = Date.now();
         save();
       }
     }
-  },
+  }),
 
-  onAddFolder(boxId, parentId) {
-    const box = findBox(boxId);
+  onAddFolder: undoable('Add folder', (boxId, parentId) => {
+    const box = findEditableBox(boxId);
     if (box) {
       const folder = createFolder();
       if (parentId) {
@@ -480,10 +2117,10 @@ const handlers = {
       save();
       render();
     }
-  },
+  }),
 
-  onAddBookmark(boxId, parentId) {
-    const box = findBox(boxId);
+  onAddBookmark: undoable('Add bookmark', (boxId, parentId) => {
+    const box = findEditableBox(boxId);
     if (box) {
       const bookmark = createBookmark();
       if (parentId) {
@@ -499,94 +2136,161 @@ const handlers = {
       save();
       render();
     }
+  }),
+
+  onDeleteItem(boxId, itemId) {
+    return handlers.onDeleteItems(boxId, [itemId]);
   },
 
-  async onDeleteItem(boxId, itemId) {
-    const box = findBox(boxId);
-    if (box) {
-      const item = findItemById(box.items, itemId);
-      if (item) {
-        // Remove from Chrome bookmarks
-        await removeItemFromChrome(item);
+  onDeleteItems: undoable(describeDeletedItems, async (boxId, itemIds) => {
+    const box = findEditableBox(boxId);
+    if (!box) return;
+
+    const items = getTopLevelIds(box, itemIds).map((id) => findItemById(box.items, id));
+    await addToTrash(items.map((item) => createTrashedItem(box, item)));
+    for (const item of items) {
+      if (getSyncMode(box) === 'synced') {
+        // Remove from Chrome bookmarks (local-only spaces keep their folder)
+        await removeFromChrome(requestRemoveItem, item);
       }
-      removeItemById(box.items, itemId);
-      save();
-      render();
+      removeItemById(box.items, item.id);
     }
-  },
+    if (itemIds.length > 1) clearSelection();
+    save();
+    render();
+    renderSelectionBar();
+  }, { toast: true }),
 
   onMoveItem(sourceBoxId, itemId, targetBoxId, targetParentId) {
-    const sourceBox = findBox(sourceBoxId);
-    const targetBox = findBox(targetBoxId);
+    return handlers.onMoveItems(sourceBoxId, [itemId], targetBoxId, targetParentId);
+  },
+
+  // Items keep their order, each added after the one before
+  onMoveItems: undoable('Move', (sourceBoxId, itemIds, targetBoxId, targetParentId) => {
+    const sourceBox = findEditableBox(sourceBoxId);
+    const targetBox = findEditableBox(targetBoxId);
 
     if (!sourceBox || !targetBox) return;
 
-    // Find and remove the item from source
-    const item = findItemById(sourceBox.items, itemId);
-    if (!item) return;
+    for (const itemId of getTopLevelIds(sourceBox, itemIds)) {
+      moveItem(sourceBox, itemId, targetBox, targetParentId);
+    }
+
+    save();
+    render();
+  }),
+
+  onReorderItem(sourceBoxId, itemId, targetBoxId, targetItemId, position) {
+    return handlers.onReorderItems(sourceBoxId, [itemId], targetBoxId, targetItemId, position);
+  },
 
-    // Don't allow moving a folder into itself
-    if (item.type === 'folder' && targetParentId === itemId) return;
+  // Items keep their order: the first goes before or after the target, and
+  // each of the others right after the one before it
+  onReorderItems: undoable('Move', (sourceBoxId, itemIds, targetBoxId, targetItemId, position) => {
+    const sourceBox = findEditableBox(sourceBoxId);
+    const targetBox = findEditableBox(targetBoxId);
 
-    // Remove from source
-    removeItemById(sourceBox.items, itemId);
+    if (!sourceBox || !targetBox) return;
 
-    // Add to target
-    if (targetParentId) {
-      const targetParent = findItemById(targetBox.items, targetParentId);
-      if (targetParent && targetParent.type === 'folder') {
-        targetParent.children = targetParent.children || [];
-        targetParent.children.push(item);
-        targetParent.expanded = true;
-      }
-    } else {
-      targetBox.items.push(item);
+    let anchorId = targetItemId;
+    let anchorPosition = position;
+    for (const itemId of getTopLevelIds(sourceBox, itemIds)) {
+      if (!reorderItem(sourceBox, itemId, targetBox, anchorId, anchorPosition)) break;
+      anchorId = itemId;
+      anchorPosition = 'after';
     }
 
     save();
     render();
-  },
+  }),
 
-  onReorderItem(sourceBoxId, itemId, targetBoxId, targetItemId, position) {
-    const sourceBox = findBox(sourceBoxId);
-    const targetBox = findBox(targetBoxId);
+  onSelectionChange() {
+    renderSelectionBar();
+  },
+};
 
-    if (!sourceBox || !targetBox) return;
+/**
+ * Move an item to the end of a space or folder
+ * Returns false if it can't be moved there
+ */
+function moveItem(sourceBox, itemId, targetBox, targetParentId) {
+  // Find and remove the item from source
+  const item = findItemById(sourceBox.items, itemId);
+  if (!item) return false;
+
+  // Don't allow moving a folder into itself
+  if (item.type === 'folder' && (targetParentId === itemId || isDescendant(item, targetParentId))) return false;
+
+  // Remove from source
+  removeItemById(sourceBox.items, itemId);
+
+  // Add to target
+  if (targetParentId) {
+    const targetParent = findItemById(targetBox.items, targetParentId);
+    if (targetParent && targetParent.type === 'folder') {
+      targetParent.children = targetParent.children || [];
+      targetParent.children.push(item);
+      targetParent.expanded = true;
+    }
+  } else {
+    targetBox.items.push(item);
+  }
+  return true;
+}
 
-    // Find the item to move
-    const item = findItemById(sourceBox.items, itemId);
-    if (!item) return;
+/**
+ * Move an item before or after another one
+ * Returns false if it can't be moved there
+ */
+function reorderItem(sourceBox, itemId, targetBox, targetItemId, position) {
+  // Find the item to move
+  const item = findItemById(sourceBox.items, itemId);
+  if (!item || itemId === targetItemId) return false;
 
-    // Find the target item and its parent
-    const targetItem = findItemById(targetBox.items, targetItemId);
-    if (!targetItem) return;
+  // Find the target item and its parent
+  const targetItem = findItemById(targetBox.items, targetItemId);
+  if (!targetItem) return false;
 
-    // Find parent array of target item
-    const targetParent = findParentById(targetBox.items, targetItemId);
-    const targetArray = targetParent ? targetParent.children : targetBox.items;
+  // Find parent array of target item
+  const targetParent = findParentById(targetBox.items, targetItemId);
+  const targetArray = targetParent ? targetParent.children : targetBox.items;
 
-    // Don't allow moving a folder into itself
-    if (item.type === 'folder' && isDescendant(item, targetItemId)) return;
+  // Don't allow moving a folder into itself
+  if (item.type === 'folder' && isDescendant(item, targetItemId)) return false;
 
-    // Remove from source
-    removeItemById(sourceBox.items, itemId);
+  // Remove from source
+  removeItemById(sourceBox.items, itemId);
 
-    // Find index of target item in its parent array
-    let targetIndex = targetArray.findIndex((i) => i.id === targetItemId);
-    if (targetIndex === -1) return;
+  // Find index of target item in its parent array
+  let targetIndex = targetArray.findIndex((i) => i.id === targetItemId);
+  if (targetIndex === -1) return false;
 
-    // Adjust index based on position
-    if (position === 'after') {
-      targetIndex += 1;
-    }
+  // Adjust index based on position
+  if (position === 'after') {
+    targetIndex += 1;
+  }
 
-    // Insert at the correct position
-    targetArray.splice(targetIndex, 0, item);
+  // Insert at the correct position
+  targetArray.splice(targetIndex, 0, item);
+  return true;
+}
 
-    save();
-    render();
-  },
-};
+/**
+ * The items among itemIds that still exist and aren't inside another of
+ * them, which moves or deletes them along with it
+ */
+function getTopLevelIds(box, itemIds) {
+  const ids = new Set(itemIds);
+  return itemIds.filter((id) => {
+    if (!findItemById(box.items, id)) return false;
+    let parent = findParentById(box.items, id);
+    while (parent) {
+      if (ids.has(parent.id)) return false;
+      parent = findParentById(box.items, parent.id);
+    }
+    return true;
+  });
+}
 
 /**
  * Check if targetId is a descendant of item
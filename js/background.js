@@ -0,0 +1,310 @@
+// Background service worker
+// Owns Chrome bookmarks sync: listens for bookmark changes even when no new
+// tab is open, keeps the stored data up to date and tells open new-tab pages
+// about the sync status
+
+import {
+  loadData,
+  updateData,
+  saveSnapshot,
+  saveDailySnapshot,
+  addToTrash,
+  purgeExpiredTrash,
+} from './storage.js';
+import {
+  initSync,
+  updateSyncSettings,
+  getSyncRootFolderId,
+  syncAllSpacesToChrome,
+  removeSpaceFromChrome,
+  removeItemFromChrome,
+  findItemByChromeId,
+  findParentSpace,
+  removeItemByChromeId,
+  getChromeItem,
+  listChromeFolders,
+  changeSyncRoot,
+  getSyncMode,
+  findDuplicateSyncFolders,
+  removeDuplicateFolder,
+  applyChromeChange,
+  getSyncStatus,
+  retryFailedOperations,
+  clearFailedOperations,
+} from './sync.js';
+import { generateId, mergeBoxes } from './utils.js';
+import { createTrashedSpace, createTrashedItem } from './trash.js';
+
+// Alarm that wakes the worker so queued failed writes are retried, since its
+// timers are lost whenever Chrome stops it
+const RETRY_ALARM = 'sync-retry';
+
+// Alarm that takes the daily snapshot of the spaces when it's due and purges
+// what has been in the Trash too long
+const MAINTENANCE_ALARM = 'maintenance';
+
+// Tasks that read and write the stored data run one at a time
+let taskQueue = Promise.resolve();
+
+// Listeners are added synchronously so events that start the worker are received
+const ready = initSync(handleChromeBookmarkChange, () => runTask(syncStoredData));
+chrome.runtime.onMessage.addListener(handleMessage);
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // Starting up is enough: pending retries are scheduled once the queue is loaded
+  if (alarm.name === RETRY_ALARM) await ready;
+  if (alarm.name === MAINTENANCE_ALARM) runTask(runMaintenance);
+});
+chrome.alarms.create(RETRY_ALARM, { periodInMinutes: 1 });
+chrome.alarms.create(MAINTENANCE_ALARM, { periodInMinutes: 60 });
+
+// Bring Chrome and the stored data in line whenever the worker starts
+runTask(syncStoredData);
+runTask(runMaintenance);
+
+/**
+ * Run a task after the ones already queued
+ */
+function runTask(task) {
+  const result = taskQueue.then(async () => {
+    await ready;
+    return task();
+  });
+  taskQueue = result.catch((err) => console.error('Background task failed:', err));
+  return result;
+}
+
+/**
+ * Take the daily snapshot if it's due and purge expired Trash entries
+ */
+async function runMaintenance() {
+  await saveDailySnapshot();
+  await purgeExpiredTrash();
+}
+
+/**
+ * Apply a change to the stored data, keeping the dedicated sync folder a sync
+ * found or created. New-tab pages pick up the saved data from storage change
+ * events.
+ */
+function updateStoredData(mutate) {
+  return updateData(async (data) => {
+    await mutate(data);
+    data.settings.syncRootFolderId = getSyncRootFolderId();
+  });
+}
+
+/**
+ * Sync the stored spaces to Chrome, saving Chrome IDs and pulled values
+ */
+function syncStoredData() {
+  return syncStoredBoxes((boxes, settings) => {
+    updateSyncSettings(settings);
+    return syncAllSpacesToChrome(boxes);
+  });
+}
+
+/**
+ * Run a sync on a copy of the stored spaces, outside the storage update so
+ * its Chrome writes happen once even if the update is retried. What it
+ * changed (Chrome IDs, synced and pulled values, conflicts and mirrored
+ * spaces) is then merged into the spaces as they are stored by then, since
+ * new-tab pages may have saved edits while it ran.
+ */
+async function syncStoredBoxes(sync) {
+  const data = await loadData();
+  const synced = structuredClone(data.boxes);
+  await sync(synced, data.settings);
+
+  return updateStoredData((stored) => {
+    stored.boxes = mergeBoxes(data.boxes, synced, stored.boxes);
+  });
+}
+
+/**
+ * Load the stored data and apply its sync settings, for reading Chrome bookmarks
+ */
+async function loadDataForSync() {
+  const data = await loadData();
+  updateSyncSettings(data.settings);
+  return data;
+}
+
+/**
+ * Send a message to every open new-tab page
+ */
+function notifyPages(message) {
+  chrome.runtime.sendMessage(message).catch(() => {
+    // No new-tab page is open
+  });
+}
+
+/**
+ * Handle requests from new-tab pages
+ * Responds with { result } or { error }
+ */
+function handleMessage(message, sender, sendResponse) {
+  const handlers = {
+    sync: () => runTask(syncStoredData),
+    removeSpace: () => removeSpaceFromChrome(message.entry),
+    removeItem: () => removeItemFromChrome(message.entry),
+    // The worker may have been stopped, so the page says where folders were kept
+    changeSyncRoot: () => runTask(() => syncStoredBoxes((boxes, settings) => {
+      updateSyncSettings(message.previousSettings);
+      return changeSyncRoot(boxes, settings);
+    })),
+    listChromeFolders: () => runTask(async () => listChromeFolders((await loadDataForSync()).boxes)),
+    findDuplicateSyncFolders: () => runTask(async () => findDuplicateSyncFolders((await loadDataForSync()).boxes)),
+    removeDuplicateFolder: () => removeDuplicateFolder(message.chromeId),
+    getSyncStatus: async () => getSyncStatus(),
+    retryFailedOperations: () => retryFailedOperations(),
+    clearFailedOperations: () => clearFailedOperations(),
+  };
+
+  const handler = handlers[message.type];
+  if (!handler) return false;
+
+  ready
+    .then(handler)
+    .then((result) => sendResponse({ result }))
+    .catch((err) => sendResponse({ error: err.message || String(err) }));
+  return true; // Respond asynchronously
+}
+
+/**
+ * Handle changes from Chrome bookmarks (two-way sync)
+ */
+function handleChromeBookmarkChange(eventType, data) {
+  switch (eventType) {
+    case 'status':
+      notifyPages({ type: 'syncStatus', status: data });
+      break;
+
+    case 'pulled':
+      // Values pulled by a sync are saved with the rest of its changes
+      break;
+
+    default:
+      runTask(async () => {
+        // Snapshots and Trash entries are saved once the change is, since
+        // the update may be retried
+        let afterSave = [];
+        await updateStoredData((stored) => {
+          afterSave = [];
+          return applyChromeEvent(stored, eventType, data, afterSave);
+        });
+        for (const task of afterSave) await task();
+      });
+  }
+}
+
+/**
+ * Apply a bookmark created, removed, changed or moved in Chrome to the data.
+ * Tasks to run once it's saved are added to afterSave.
+ */
+async function applyChromeEvent(stored, eventType, data, afterSave) {
+  const { id, bookmark, changeInfo, moveInfo } = data;
+  // Local-only spaces ignore Chrome, even if they still have a Chrome folder
+  const linkedBoxes = stored.boxes.filter((box) => getSyncMode(box) !== 'local');
+
+  switch (eventType) {
+    case 'created': {
+      // A bookmark was created in Chrome - add it to our data if it's in a synced folder
+      const parentSpace = findParentSpace(linkedBoxes, bookmark.parentId);
+      if (parentSpace) {
+        // Find the parent item (folder) in our structure
+        const parentResult = findItemByChromeId(linkedBoxes, bookmark.parentId);
+        const newItem = bookmark.url
+          ? { id: generateId(), type: 'bookmark', name: bookmark.title, url: bookmark.url, chromeId: id, dateAdded: bookmark.dateAdded }
+          : { id: generateId(), type: 'folder', name: bookmark.title, expanded: true, children: [], chromeId: id, dateAdded: bookmark.dateAdded };
+
+        // Insert at Chrome's index so positions stay aligned for the next sync
+        const parentItems = getChildItems(parentResult);
+        if (parentItems) {
+          parentItems.splice(Math.min(bookmark.index ?? parentItems.length, parentItems.length), 0, newItem);
+        }
+      }
+      break;
+    }
+
+    case 'removed': {
+      // A bookmark was removed in Chrome - remove from our data
+      const result = findItemByChromeId(linkedBoxes, id);
+      if (result) {
+        if (result.type === 'space') {
+          // A space folder was removed
+          const boxToRemove = result.item;
+          const boxes = structuredClone(stored.boxes);
+          const trashed = createTrashedSpace(stored.boxes, boxToRemove);
+          afterSave.push(
+            () => saveSnapshot(boxes, 'delete', `Before "${boxToRemove.title || 'Untitled'}" was removed in Chrome`),
+            () => addToTrash([trashed]),
+          );
+          stored.boxes = stored.boxes.filter((b) => b.id !== boxToRemove.id);
+          if (stored.expandedSpaceId === boxToRemove.id) {
+            stored.expandedSpaceId = stored.boxes.length > 0 ? stored.boxes[0].id : null;
+          }
+        } else {
+          // An item was removed - find its parent and remove it
+          const trashed = createTrashedItem(findParentSpace(linkedBoxes, id), result.item);
+          afterSave.push(() => addToTrash([trashed]));
+          for (const box of linkedBoxes) {
+            if (removeItemByChromeId(box.items, id)) break;
+          }
+        }
+      }
+      break;
+    }
+
+    case 'changed': {
+      // A bookmark was changed in Chrome - update our data, or record a
+      // conflict if it also has an app edit that hasn't been synced yet
+      const result = findItemByChromeId(linkedBoxes, id);
+      if (result) {
+        applyChromeChange(result.item, changeInfo);
+      }
+      break;
+    }
+
+    case 'moved': {
+      // A bookmark was moved in Chrome - mirror its new parent and position
+      const result = findItemByChromeId(linkedBoxes, id);
+      // Space folders themselves are not reordered from Chrome
+      if (result && result.type === 'space') break;
+
+      const targetItems = getChildItems(findItemByChromeId(linkedBoxes, moveInfo.parentId));
+      if (!result && !targetItems) break; // Unrelated to any synced folder
+
+      let movedItem;
+      if (result) {
+        // Detach from its current location (may be in another space)
+        for (const box of linkedBoxes) {
+          if (removeItemByChromeId(box.items, id)) break;
+        }
+        movedItem = result.item;
+      } else {
+        // Moved in from outside the synced folders - pull in its whole subtree
+        movedItem = await getChromeItem(id);
+        if (!movedItem) break;
+      }
+
+      // Insert at Chrome's index, unless it was moved out of our spaces entirely
+      if (targetItems) {
+        targetItems.splice(Math.min(moveInfo.index, targetItems.length), 0, movedItem);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Get the child items array for a findItemByChromeId result (space or folder)
+ */
+function getChildItems(result) {
+  if (!result) return null;
+  if (result.type === 'space') return result.item.items;
+  if (result.type === 'folder') {
+    result.item.children = result.item.children || [];
+    return result.item.children;
+  }
+  return null;
+}
@@ -0,0 +1,251 @@
+// Backup Module
+// Exports the extension's data to a JSON file and reads it back for restoring
+
+import { migrateSchema } from './storage.js';
+
+// Identifies backup files, and the version of their layout
+const BACKUP_FORMAT = 'disemb-arc-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Create the contents of a backup file from the stored data
+ */
+export function createBackupFile(data) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+  return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * File name for a backup exported now
+ */
+export function getBackupFileName() {
+  const date = new Date().toISOString().slice(0, 10);
+  return `disemb-arc-backup-${date}.json`;
+}
+
+/**
+ * Read and validate a backup file, migrating its data to the current schema
+ * Returns { exportedAt, data }, or throws an Error saying what is wrong
+ */
+export function parseBackupFile(json) {
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || !backup.data) {
+    throw new Error('The file is not a Disemb-Arc backup.');
+  }
+  if (backup.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error('The backup was made by a newer version of Disemb-Arc. Update the extension to restore it.');
+  }
+
+  const { data } = backup;
+  migrateSchema(data);
+
+  if (!Array.isArray(data.boxes)) {
+    throw new Error('The backup has no spaces.');
+  }
+  data.boxes.forEach((box, i) => {
+    if (typeof box?.id !== 'string' || !Array.isArray(box.items)) {
+      throw new Error(`Space ${i + 1} in the backup is damaged.`);
+    }
+    validateItems(box.items, box.title || `Space ${i + 1}`);
+  });
+
+  return { exportedAt: backup.exportedAt, data };
+}
+
+/**
+ * Check that every item is a bookmark with a URL or a folder with children
+ */
+function validateItems(items, path) {
+  for (const item of items) {
+    const valid = typeof item?.id === 'string' && (
+      (item.type === 'bookmark' && typeof item.url === 'string') ||
+      (item.type === 'folder' && (item.children === undefined || Array.isArray(item.children)))
+    );
+    if (!valid) {
+      throw new Error(`An item in "${path}" in the backup is damaged.`);
+    }
+    if (item.children) validateItems(item.children, `${path} / ${item.name}`);
+  }
+}
+
+/**
+ * Count the spaces, folders and bookmarks in a list of boxes
+ */
+export function summarizeBoxes(boxes) {
+  const summary = { spaces: boxes.length, folders: 0, bookmarks: 0 };
+
+  const visit = (items) => {
+    for (const item of items) {
+      if (item.type === 'folder') {
+        summary.folders++;
+        visit(item.children || []);
+      } else {
+        summary.bookmarks++;
+      }
+    }
+  };
+  boxes.forEach((box) => visit(box.items));
+
+  return summary;
+}
+
+/**
+ * Point restored spaces and items at the Chrome bookmarks of the current
+ * ones with the same ID. Chrome IDs from the backup are dropped otherwise,
+ * since it may come from another profile or computer; the next sync re-links
+ * those to matching Chrome folders by title and URL, or recreates them.
+ */
+export function relinkRestoredBoxes(restored, current) {
+  const currentEntries = new Map();
+  const collect = (entries) => {
+    for (const entry of entries) {
+      currentEntries.set(entry.id, entry);
+      collect(entry.items || entry.children || []);
+    }
+  };
+  collect(current);
+
+  const relink = (entries) => {
+    for (const entry of entries) {
+      const match = currentEntries.get(entry.id);
+      delete entry.conflict;
+      if (match?.chromeId) {
+        entry.chromeId = match.chromeId;
+        entry.lastSynced = match.lastSynced;
+      } else {
+        delete entry.chromeId;
+        delete entry.lastSynced;
+      }
+      relink(entry.items || entry.children || []);
+    }
+  };
+  relink(restored);
+
+  return restored;
+}
+
+/**
+ * Merge restored spaces into the current ones: spaces and items missing from
+ * the current data are added, while ones that exist in both keep their
+ * current version and place
+ */
+export function mergeRestoredBoxes(current, restored) {
+  const result = [...current];
+
+  // Every ID in use, so items moved elsewhere since the backup aren't added twice
+  const ids = new Set();
+  const collect = (entries) => entries.forEach((entry) => {
+    ids.add(entry.id);
+    collect(entry.items || entry.children || []);
+  });
+  collect(current);
+
+  for (const box of restored) {
+    const existing = result.find((b) => b.id === box.id);
+    if (existing) {
+      mergeRestoredItems(existing.items, box.items, ids);
+    } else if (!ids.has(box.id)) {
+      result.push({ ...box, items: withoutIds(box.items, ids) });
+    }
+  }
+
+  return result;
+}
+
+function mergeRestoredItems(items, restoredItems, ids) {
+  restoredItems.forEach((item, index) => {
+    const existing = items.find((i) => i.id === item.id);
+    if (existing) {
+      if (existing.type === 'folder' && item.children) {
+        existing.children = existing.children || [];
+        mergeRestoredItems(existing.children, item.children, ids);
+      }
+    } else if (!ids.has(item.id)) {
+      const added = item.children ? { ...item, children: withoutIds(item.children, ids) } : item;
+      items.splice(Math.min(index, items.length), 0, added);
+    }
+  });
+}
+
+/**
+ * Copy items leaving out those (and their children) whose IDs are in use
+ */
+function withoutIds(items, ids) {
+  return items
+    .filter((item) => !ids.has(item.id))
+    .map((item) => (item.children ? { ...item, children: withoutIds(item.children, ids) } : item));
+}
+
+/**
+ * List what changed between two versions of the spaces, e.g. a snapshot and
+ * the current ones. Returns [{ change, kind, name, path, previous }], where
+ * change is 'added', 'removed', 'renamed', 'edited' (a new URL) or 'moved',
+ * kind is 'space', 'folder' or 'bookmark', path names the space and folders
+ * holding it, and previous is the old name, URL or path. Only the top of an
+ * added or removed folder is listed.
+ */
+export function diffBoxes(before, after) {
+  const beforeEntries = indexEntries(before);
+  const afterEntries = indexEntries(after);
+  const changes = [];
+
+  for (const [id, entry] of beforeEntries) {
+    if (!afterEntries.has(id) && !(entry.parentId && !afterEntries.has(entry.parentId))) {
+      changes.push({ change: 'removed', kind: entry.kind, name: entry.name, path: entry.path });
+    }
+  }
+
+  for (const [id, entry] of afterEntries) {
+    const old = beforeEntries.get(id);
+    const change = { kind: entry.kind, name: entry.name, path: entry.path };
+
+    if (!old) {
+      if (!(entry.parentId && !beforeEntries.has(entry.parentId))) {
+        changes.push({ ...change, change: 'added' });
+      }
+      continue;
+    }
+    if (old.name !== entry.name) {
+      changes.push({ ...change, change: 'renamed', previous: old.name });
+    }
+    if (old.url !== entry.url) {
+      changes.push({ ...change, change: 'edited', previous: old.url });
+    }
+    if (old.parentId !== entry.parentId) {
+      changes.push({ ...change, change: 'moved', previous: old.path });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Map the ID of every space and item to where it is and what it's called
+ */
+function indexEntries(boxes) {
+  const entries = new Map();
+
+  const visit = (items, parentId, path) => {
+    for (const item of items) {
+      entries.set(item.id, { kind: item.type, name: item.name, url: item.url, parentId, path });
+      if (item.children) visit(item.children, item.id, [...path, item.name]);
+    }
+  };
+  for (const box of boxes) {
+    entries.set(box.id, { kind: 'space', name: box.title, parentId: null, path: [] });
+    visit(box.items, box.id, [box.title]);
+  }
+
+  return entries;
+}
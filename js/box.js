@@ -3,6 +3,15 @@
 import { COLORS } from './utils.js';
 import { renderTree } from './tree.js';
 
+/**
+ * Sync modes a space can have, with labels for the header menu
+ */
+const SYNC_MODES = [
+  { mode: 'synced', label: 'Synced', description: 'Two-way sync with Chrome bookmarks' },
+  { mode: 'local', label: 'Local only', description: 'Never written to Chrome bookmarks' },
+  { mode: 'mirror', label: 'Mirror', description: 'Read-only copy of its Chrome folder' },
+];
+
 /**
  * Render an accordion panel (replaces floating box)
  */
@@ -51,14 +60,19 @@ function renderCollapsedPanel(el, box, handlers) {
     }
   });
 
-  // Setup drop zone for cross-space moves
-  setupPanelDropZone(el, box, handlers);
+  // Setup drop zone for cross-space moves (mirrors are read-only)
+  if (box.syncMode !== 'mirror') {
+    setupPanelDropZone(el, box, handlers);
+  }
 }
 
 /**
  * Render expanded panel (full content with tree)
  */
 function renderExpandedPanel(el, box, handlers) {
+  const syncMode = box.syncMode || 'synced';
+  const readOnly = syncMode === 'mirror';
+
   // Header
   const header = document.createElement('div');
   header.className = 'accordion-header expanded';
@@ -80,6 +94,7 @@ function renderExpandedPanel(el, box, handlers) {
   titleInput.type = 'text';
   titleInput.className = 'accordion-title';
   titleInput.value = box.title;
+  titleInput.readOnly = readOnly;
   titleInput.addEventListener('change', () => {
     handlers.onTitleChange(box.id, titleInput.value);
   });
@@ -94,13 +109,30 @@ function renderExpandedPanel(el, box, handlers) {
   deleteBtn.title = 'Delete space';
   deleteBtn.addEventListener('click', (e) => {
     e.stopPropagation();
-    if (confirm('Delete this space?')) {
+    const message = syncMode === 'synced'
+      ? 'Delete this space?'
+      : 'Delete this space? Its Chrome bookmark folder is kept.';
+    if (confirm(message)) {
       handlers.onDelete(box.id);
     }
   });
 
+  // Sync mode button
+  const modeInfo = SYNC_MODES.find((m) => m.mode === syncMode);
+  const syncModeBtn = document.createElement('button');
+  syncModeBtn.className = `sync-mode-btn ${syncMode}`;
+  syncModeBtn.textContent = modeInfo.label;
+  syncModeBtn.title = `${modeInfo.description} (click to change)`;
+  syncModeBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showSyncModeMenu(syncModeBtn, syncMode, (newMode) => {
+      handlers.onSyncModeChange(box.id, newMode);
+    });
+  });
+
   header.appendChild(colorBtn);
   header.appendChild(titleInput);
+  header.appendChild(syncModeBtn);
   header.appendChild(deleteBtn);
 
   // Content area with tree
@@ -142,14 +174,25 @@ function renderExpandedPanel(el, box, handlers) {
     handlers.onCollapseAllFolders(box.id);
   });
 
-  addBtns.appendChild(addFolderBtn);
-  addBtns.appendChild(addBookmarkBtn);
+  const exportBtn = document.createElement('button');
+  exportBtn.className = 'tree-add-btn tree-toggle-btn';
+  exportBtn.textContent = 'Export';
+  exportBtn.title = 'Download this space as a bookmarks HTML file';
+  exportBtn.addEventListener('click', () => {
+    handlers.onExportSpace(box.id);
+  });
+
+  if (!readOnly) {
+    addBtns.appendChild(addFolderBtn);
+    addBtns.appendChild(addBookmarkBtn);
+  }
   addBtns.appendChild(expandAllBtn);
   addBtns.appendChild(collapseAllBtn);
+  addBtns.appendChild(exportBtn);
   content.appendChild(addBtns);
 
   // Render tree
-  const tree = renderTree(box.items, box.id, box.color, handlers);
+  const tree = renderTree(box.items, box.id, box.color, handlers, readOnly);
   content.appendChild(tree);
 
   el.appendChild(header);
@@ -194,6 +237,54 @@ function showColorPicker(anchorEl, currentColor, onSelect) {
   setTimeout(() => document.addEventListener('click', closeHandler), 0);
 }
 
+/**
+ * Show sync mode menu popover
+ */
+function showSyncModeMenu(anchorEl, currentMode, onSelect) {
+  // Remove any existing menu
+  const existing = document.querySelector('.sync-mode-menu');
+  if (existing) existing.remove();
+
+  const menu = document.createElement('div');
+  menu.className = 'sync-mode-menu';
+
+  const rect = anchorEl.getBoundingClientRect();
+  menu.style.left = `${rect.left}px`;
+  menu.style.top = `${rect.bottom + 8}px`;
+
+  SYNC_MODES.forEach(({ mode, label, description }) => {
+    const option = document.createElement('button');
+    option.className = 'sync-mode-option' + (mode === currentMode ? ' selected' : '');
+
+    const optionLabel = document.createElement('span');
+    optionLabel.className = 'sync-mode-option-label';
+    optionLabel.textContent = label;
+
+    const optionDescription = document.createElement('span');
+    optionDescription.className = 'sync-mode-option-description';
+    optionDescription.textContent = description;
+
+    option.appendChild(optionLabel);
+    option.appendChild(optionDescription);
+    option.addEventListener('click', () => {
+      onSelect(mode);
+      menu.remove();
+    });
+    menu.appendChild(option);
+  });
+
+  document.body.appendChild(menu);
+
+  // Close menu when clicking outside
+  const closeHandler = (e) => {
+    if (!menu.contains(e.target) && e.target !== anchorEl) {
+      menu.remove();
+      document.removeEventListener('click', closeHandler);
+    }
+  };
+  setTimeout(() => document.addEventListener('click', closeHandler), 0);
+}
+
 /**
  * Setup drop zone on accordion panel for cross-space moves
  */
@@ -217,8 +308,8 @@ function setupPanelDropZone(el, box, handlers) {
 
     try {
       const data = JSON.parse(e.dataTransfer.getData('application/json'));
-      // Move item to this space (root level)
-      handlers.onMoveItem(data.sourceBoxId, data.itemId, box.id, null);
+      // Move the dragged items to this space (root level)
+      handlers.onMoveItems(data.sourceBoxId, data.itemIds || [data.itemId], box.id, null);
     } catch (err) {
       console.error('Drop error:', err);
     }
@@ -0,0 +1,70 @@
+// Export Module
+// Writes spaces to a Netscape bookmark HTML file, the format Chrome, Firefox
+// and Safari import and export bookmarks in. Each space becomes a top-level
+// folder.
+
+import { escapeHtml, SPACE_COLOR_ATTRIBUTE } from './utils.js';
+
+/**
+ * Create the contents of a bookmarks HTML file holding the given spaces
+ */
+export function createBookmarksHtml(boxes) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+  ];
+
+  // Spaces keep their color in an attribute other browsers ignore, so this
+  // extension's importer can turn them back into spaces
+  for (const box of boxes) {
+    writeFolder(lines, box.title || 'Untitled', box.dateAdded, box.items, 1, ` ${SPACE_COLOR_ATTRIBUTE}="${escapeHtml(box.color)}"`);
+  }
+
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a folder heading followed by the list of its items
+ */
+function writeFolder(lines, name, dateAdded, items, depth, attributes = '') {
+  const indent = '    '.repeat(depth);
+  lines.push(`${indent}<DT><H3${formatAddDate(dateAdded)}${attributes}>${escapeHtml(name)}</H3>`);
+  lines.push(`${indent}<DL><p>`);
+
+  for (const item of items) {
+    if (item.type === 'folder') {
+      writeFolder(lines, item.name || '', item.dateAdded, item.children || [], depth + 1);
+    } else {
+      lines.push(`${indent}    <DT><A HREF="${escapeHtml(item.url)}"${formatAddDate(item.dateAdded)}>${escapeHtml(item.name || '')}</A>`);
+    }
+  }
+
+  lines.push(`${indent}</DL><p>`);
+}
+
+/**
+ * ADD_DATE attribute for a time in milliseconds, in seconds as browsers
+ * write it, or nothing if the time isn't known
+ */
+function formatAddDate(dateAdded) {
+  return Number.isFinite(dateAdded) ? ` ADD_DATE="${Math.floor(dateAdded / 1000)}"` : '';
+}
+
+/**
+ * File name for an export of the given spaces made now, named after the
+ * space when there is only one
+ */
+export function getBookmarksHtmlFileName(boxes) {
+  const date = new Date().toISOString().slice(0, 10);
+  const name = boxes.length === 1
+    ? (boxes[0].title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '')
+    : '';
+  return `disemb-arc-${name || 'bookmarks'}-${date}.html`;
+}
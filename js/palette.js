@@ -0,0 +1,188 @@
+// Command palette - searches bookmarks and folders across every space and
+// runs actions, opened with Ctrl/Cmd+K
+
+import { fuzzyScore, searchItems } from './utils.js';
+
+// Most results listed at once
+const MAX_RESULTS = 50;
+
+// What the palette searches and what its results do, set when it opens:
+// { boxes, actions: [{ label, hint, color, run }], onOpen(box, item), onReveal(box, item) }
+let source = null;
+let results = [];
+let selectedIndex = 0;
+
+/**
+ * Set up the palette's input and result list
+ */
+export function initPalette() {
+  const modal = document.getElementById('palette-modal');
+  const input = document.getElementById('palette-input');
+
+  input.addEventListener('input', renderResults);
+  input.addEventListener('keydown', handlePaletteKeyDown);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closePalette();
+  });
+}
+
+/**
+ * Open the palette with the current spaces and actions
+ */
+export function openPalette(paletteSource) {
+  source = paletteSource;
+  const input = document.getElementById('palette-input');
+  input.value = '';
+  renderResults();
+
+  document.getElementById('palette-modal').classList.remove('hidden');
+  input.focus();
+}
+
+function closePalette() {
+  document.getElementById('palette-modal').classList.add('hidden');
+  source = null;
+}
+
+/**
+ * Move through results with the arrow keys, open the selected one with Enter
+ * or show it in its space with Shift+Enter, and close with Escape
+ */
+function handlePaletteKeyDown(e) {
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp':
+      e.preventDefault();
+      if (results.length === 0) return;
+      selectedIndex = (selectedIndex + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+      updateSelection();
+      break;
+
+    case 'Enter':
+      e.preventDefault();
+      if (results[selectedIndex]) runResult(results[selectedIndex], e.shiftKey);
+      break;
+
+    case 'Escape':
+      e.preventDefault();
+      closePalette();
+      break;
+  }
+}
+
+/**
+ * Run an action, or open or reveal an item. Folders are always revealed.
+ */
+function runResult(result, reveal) {
+  const { onOpen, onReveal } = source;
+  closePalette();
+
+  if (result.action) {
+    result.action.run();
+  } else if (reveal || result.item.type === 'folder') {
+    onReveal(result.box, result.item);
+  } else {
+    onOpen(result.box, result.item);
+  }
+}
+
+/**
+ * List the actions and items matching the query, best first. With no query
+ * only the actions are listed.
+ */
+function renderResults() {
+  const list = document.getElementById('palette-results');
+  const query = document.getElementById('palette-input').value.trim();
+  list.innerHTML = '';
+
+  const actions = source.actions
+    .map((action) => ({ action, score: query ? fuzzyScore(query, action.label) * 1.5 : 1 }))
+    .filter((result) => result.score > 0);
+  const items = query ? searchItems(source.boxes, query) : [];
+
+  results = [...actions, ...items]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+  selectedIndex = 0;
+
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'palette-empty';
+    empty.textContent = 'No matches';
+    list.appendChild(empty);
+    return;
+  }
+
+  results.forEach((result, index) => {
+    list.appendChild(renderResult(result, index));
+  });
+  updateSelection();
+}
+
+/**
+ * Render a result row: the space color, the name, and the folder path or
+ * what the action does
+ */
+function renderResult(result, index) {
+  const row = document.createElement('div');
+  row.className = 'palette-result';
+
+  const dot = document.createElement('span');
+  dot.className = 'palette-color-dot';
+  const color = result.action ? result.action.color : result.box.color;
+  if (color) dot.style.backgroundColor = color;
+
+  const text = document.createElement('div');
+  text.className = 'palette-text';
+
+  const name = document.createElement('div');
+  name.className = 'palette-name';
+  const detail = document.createElement('div');
+  detail.className = 'palette-detail';
+
+  if (result.action) {
+    name.textContent = result.action.label;
+    detail.textContent = result.action.hint || '';
+  } else {
+    const { item, path } = result;
+    name.textContent = `${item.type === 'folder' ? '\u{1F4C1} ' : ''}${item.name || 'Untitled'}`;
+    detail.textContent = path.join(' / ') + (item.url ? ` · ${item.url}` : '');
+    row.title = item.url || item.name;
+  }
+
+  text.appendChild(name);
+  text.appendChild(detail);
+  row.appendChild(dot);
+  row.appendChild(text);
+
+  if (result.item && result.item.type === 'bookmark') {
+    const revealBtn = document.createElement('button');
+    revealBtn.className = 'palette-reveal-btn';
+    revealBtn.textContent = 'Show';
+    revealBtn.title = 'Show in its space (Shift+Enter)';
+    revealBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      runResult(result, true);
+    });
+    row.appendChild(revealBtn);
+  }
+
+  row.addEventListener('mousemove', () => {
+    if (selectedIndex !== index) {
+      selectedIndex = index;
+      updateSelection();
+    }
+  });
+  row.addEventListener('click', () => runResult(result, false));
+
+  return row;
+}
+
+/**
+ * Highlight the selected result and keep it in view
+ */
+function updateSelection() {
+  const rows = document.querySelectorAll('#palette-results .palette-result');
+  rows.forEach((row, index) => row.classList.toggle('selected', index === selectedIndex));
+  rows[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+}
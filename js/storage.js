@@ -1,124 +1,488 @@
 // Storage abstraction for chrome.storage.local
 
+import { generateId } from './utils.js';
+
 const STORAGE_KEY = 'arcLikeNewTab';
 
+// Sync bookkeeping (failed Chrome bookmark writes waiting to be retried and
+// the Chrome IDs linked at the last sync), kept apart from the app data so
+// the background service worker can save it without racing new-tab pages
+const SYNC_STATE_KEY = 'arcLikeNewTabSyncState';
+
+// Copy of the stored data as it was before its last migration
+const BACKUP_KEY = 'arcLikeNewTabBackup';
+
+// Rolling snapshots of the spaces, newest first, for the history view
+const SNAPSHOTS_KEY = 'arcLikeNewTabSnapshots';
+
+// A daily snapshot is taken once the last one is this old
+const DAILY_SNAPSHOT_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Changes to the snapshots waiting to be written, one at a time
+let snapshotQueue = Promise.resolve();
+
+// Deleted spaces and items, newest first, until restored or purged
+const TRASH_KEY = 'arcLikeNewTabTrash';
+
+// Changes to the Trash waiting to be written, one at a time
+let trashQueue = Promise.resolve();
+
+// What each Arc space held when it was last imported, by its Arc ID, so a
+// re-import can tell what changed in Arc since
+const ARC_IMPORTS_KEY = 'arcLikeNewTabArcImports';
+
+// Updates to the stored data waiting to be applied, one at a time
+let updateQueue = Promise.resolve();
+
+// How many times an update is re-applied when the stored data keeps being
+// saved elsewhere while it runs
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const DEFAULT_SYNC_STATE = {
+  failedOps: [],
+  syncedChromeIds: [],
+};
+
+/**
+ * Migration steps, in order. Each runs once, on data saved with a lower
+ * schemaVersion. Add new steps at the end; never change or remove old ones.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Position and size are no longer used in the accordion layout
+    migrate(data) {
+      data.boxes = (data.boxes || []).map(({ x, y, width, height, ...box }) => box);
+    },
+  },
+  {
+    version: 2,
+    // The accordion uses expandedSpaceId instead of collapsed spaces
+    migrate(data) {
+      data.boxes = (data.boxes || []).map(({ collapsed, ...box }) => box);
+    },
+  },
+];
+
+// Version of the stored data's shape written by this version of the extension
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
 /**
  * Default data structure
  */
 const DEFAULT_DATA = {
+  schemaVersion: SCHEMA_VERSION,
+  revision: 0, // Incremented on every save, so tabs can tell newer data from older
   boxes: [],
   expandedSpaceId: null,
   settings: {
     theme: 'system',
+    syncRoot: 'bookmarksBar', // 'bookmarksBar', 'otherBookmarks' or 'folder'
+    syncRootFolderName: 'Disemb-Arc',
+    syncRootFolderId: null, // Chrome ID of the dedicated folder once created
+    snapshotLimit: 20, // Most snapshots kept in the history
+    snapshotMaxSize: 2 * 1024 * 1024, // Most bytes the snapshots may take up together
+    trashRetentionDays: 30, // Days deleted spaces and items stay in the Trash
+    importUnpinnedTabs: true, // Whether Arc imports include each space's unpinned (Today) tabs
   },
 };
 
 /**
- * Migrate data to remove deprecated position/size properties
+ * Read a value from chrome.storage.local, or localStorage during development
  */
-function migrateData(data) {
-  if (!data.boxes) return { data, needsSave: false };
-
-  let needsSave = false;
-
-  // Remove x, y, width, height from boxes (no longer used in accordion layout)
-  data.boxes = data.boxes.map((box) => {
-    if ('x' in box || 'y' in box || 'width' in box || 'height' in box) {
-      needsSave = true;
-      const { x, y, width, height, ...rest } = box;
-      return rest;
-    }
-    return box;
-  });
-
-  // Also remove collapsed property (accordion uses expandedSpaceId instead)
-  data.boxes = data.boxes.map((box) => {
-    if ('collapsed' in box) {
-      needsSave = true;
-      const { collapsed, ...rest } = box;
-      return rest;
+function readStorage(key) {
+  return new Promise((resolve) => {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.get(key, (result) => resolve(result[key]));
+    } else {
+      // Fallback to localStorage for development
+      const stored = localStorage.getItem(key);
+      resolve(stored ? JSON.parse(stored) : undefined);
     }
-    return box;
   });
-
-  return { data, needsSave };
 }
 
 /**
- * Load data from storage
+ * Write a value to chrome.storage.local, or localStorage during development
+ * Rejects if it couldn't be written, e.g. with storage full.
  */
-export async function loadData() {
-  return new Promise((resolve) => {
+function writeStorage(key, value) {
+  return new Promise((resolve, reject) => {
     if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.get(STORAGE_KEY, async (result) => {
-        let data = result[STORAGE_KEY] || DEFAULT_DATA;
-        const { data: migratedData, needsSave } = migrateData(data);
-        if (needsSave) {
-          await saveData(migratedData);
+      chrome.storage.local.set({ [key]: value }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
         }
-        resolve(migratedData);
       });
     } else {
       // Fallback to localStorage for development
-      const stored = localStorage.getItem(STORAGE_KEY);
-      let data = stored ? JSON.parse(stored) : DEFAULT_DATA;
-      const { data: migratedData, needsSave } = migrateData(data);
-      if (needsSave) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(migratedData));
-      }
-      resolve(migratedData);
+      localStorage.setItem(key, JSON.stringify(value));
+      resolve();
     }
   });
 }
 
 /**
- * Save data to storage
+ * Run the migration steps data hasn't had yet, in place, e.g. on data read
+ * from a backup file. Throws a NewerSchemaError if the data was saved by a
+ * newer version of the extension.
  */
-export async function saveData(data) {
-  return new Promise((resolve) => {
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.set({ [STORAGE_KEY]: data }, resolve);
-    } else {
-      // Fallback to localStorage for development
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-      resolve();
-    }
+export function migrateSchema(data) {
+  const version = data.schemaVersion || 0;
+  if (version > SCHEMA_VERSION) {
+    const err = new Error(
+      `Your data was saved by a newer version of Disemb-Arc (data version ${version}, ` +
+      `this version reads up to ${SCHEMA_VERSION}). Update the extension to use it.`
+    );
+    err.name = 'NewerSchemaError';
+    throw err;
+  }
+
+  MIGRATIONS
+    .filter((step) => step.version > version)
+    .forEach((step) => step.migrate(data));
+  data.schemaVersion = SCHEMA_VERSION;
+}
+
+/**
+ * Migrate the stored data after backing it up
+ * Returns true if the data was migrated
+ */
+async function migrateData(data) {
+  const version = data.schemaVersion || 0;
+  if (version >= SCHEMA_VERSION) {
+    migrateSchema(data); // Throws for data from a newer version
+    return false;
+  }
+
+  // Keep the data as it was, in case a migration step gets it wrong
+  await writeStorage(BACKUP_KEY, {
+    schemaVersion: version,
+    backedUpAt: Date.now(),
+    data: structuredClone(data),
   });
+
+  migrateSchema(data);
+  return true;
+}
+
+/**
+ * Load data from storage, migrating it to the current schema version
+ * Rejects with a NewerSchemaError if it was saved by a newer version of the
+ * extension; such data is never written, so it isn't lost.
+ */
+export async function loadData() {
+  const stored = await readStorage(STORAGE_KEY);
+  const data = stored || structuredClone(DEFAULT_DATA);
+
+  if (await migrateData(data)) {
+    await saveData(data);
+  }
+
+  // Fill in settings added since the data was saved
+  data.settings = { ...DEFAULT_DATA.settings, ...data.settings };
+  return data;
+}
+
+/**
+ * Load the copy of the data saved before its last migration, if any
+ * Returns { schemaVersion, backedUpAt, data }
+ */
+export async function loadBackup() {
+  return readStorage(BACKUP_KEY);
+}
+
+/**
+ * Save data to storage, advancing its revision
+ */
+export async function saveData(data) {
+  data.revision = (data.revision || 0) + 1;
+  await writeStorage(STORAGE_KEY, data);
+}
+
+/**
+ * Update the stored data atomically
+ * mutate is called with the current data and changes it in place, or returns
+ * replacement data; it may be async. Updates are queued, so each one sees the
+ * result of the ones before it. If another tab or the background service
+ * worker saves while mutate runs, mutate is applied again to their data
+ * rather than overwriting it. Nothing is written if the data is unchanged.
+ * Resolves with the updated data once it is persisted.
+ */
+export function updateData(mutate) {
+  const result = updateQueue.then(() => applyUpdate(mutate));
+  updateQueue = result.catch(() => {});
+  return result;
+}
+
+async function applyUpdate(mutate) {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const data = await loadData();
+    const loaded = JSON.stringify(data);
+
+    const updated = (await mutate(data)) || data;
+    if (JSON.stringify(updated) === loaded) return updated;
+
+    const current = await loadData();
+    if ((current.revision || 0) !== (data.revision || 0)) continue;
+
+    await saveData(updated);
+    return updated;
+  }
+  throw new Error('Stored data kept changing while it was being updated');
 }
 
 /**
  * Save boxes to storage (convenience function)
  */
 export async function saveBoxes(boxes) {
-  const data = await loadData();
-  data.boxes = boxes;
-  await saveData(data);
+  await updateData((data) => {
+    data.boxes = boxes;
+  });
+}
+
+/**
+ * Save boxes edited from a given revision of the stored data
+ * If another tab or the background service worker has saved a newer revision
+ * since, merge is called with the stored boxes and returns the boxes to save
+ * instead, so a tab that is behind never overwrites newer changes.
+ * Resolves with the saved { boxes, revision }.
+ */
+export async function saveBoxesFrom(baseRevision, boxes, merge) {
+  const data = await updateData((current) => {
+    current.boxes = (current.revision || 0) === baseRevision ? boxes : merge(current.boxes || []);
+  });
+  return { boxes: data.boxes, revision: data.revision || 0 };
+}
+
+/**
+ * Listen for the stored data being saved, by any tab or the background
+ * service worker. The listener receives the new data.
+ */
+export function onDataChanged(listener) {
+  if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[STORAGE_KEY]?.newValue) {
+      listener(changes[STORAGE_KEY].newValue);
+    }
+  });
 }
 
 /**
  * Save boxes and expanded space ID together
  */
 export async function saveState(boxes, expandedSpaceId) {
-  const data = await loadData();
-  data.boxes = boxes;
-  data.expandedSpaceId = expandedSpaceId;
-  await saveData(data);
+  await updateData((data) => {
+    data.boxes = boxes;
+    data.expandedSpaceId = expandedSpaceId;
+  });
 }
 
 /**
  * Save just the expanded space ID
  */
 export async function saveExpandedSpaceId(expandedSpaceId) {
-  const data = await loadData();
-  data.expandedSpaceId = expandedSpaceId;
-  await saveData(data);
+  await updateData((data) => {
+    data.expandedSpaceId = expandedSpaceId;
+  });
 }
 
 /**
  * Save settings to storage (convenience function)
  */
 export async function saveSettings(settings) {
-  const data = await loadData();
-  data.settings = { ...data.settings, ...settings };
-  await saveData(data);
+  await updateData((data) => {
+    data.settings = { ...data.settings, ...settings };
+  });
+}
+
+/**
+ * Load the sync bookkeeping
+ */
+export async function loadSyncState() {
+  return { ...DEFAULT_SYNC_STATE, ...(await readStorage(SYNC_STATE_KEY)) };
+}
+
+/**
+ * Save the sync bookkeeping
+ */
+export async function saveSyncState(state) {
+  await writeStorage(SYNC_STATE_KEY, state);
+}
+
+/**
+ * Load the snapshots in the history, newest first, migrated to the current
+ * schema. Each is { id, createdAt, reason, label, size, data: { boxes } }.
+ */
+export async function loadSnapshots() {
+  const snapshots = (await readStorage(SNAPSHOTS_KEY)) || [];
+  return snapshots.filter((snapshot) => {
+    try {
+      migrateSchema(snapshot.data);
+      return true;
+    } catch {
+      return false; // Taken by a newer version of the extension
+    }
+  });
+}
+
+/**
+ * Add a snapshot of the spaces to the history, dropping the oldest ones that
+ * no longer fit the budget in the settings
+ * reason is 'import', 'delete', 'restore' or 'daily'; label describes it.
+ * Resolves with the snapshot.
+ */
+export async function saveSnapshot(boxes, reason, label) {
+  const snapshot = createSnapshot(boxes, reason, label);
+  await updateSnapshots((snapshots) => [snapshot, ...snapshots]);
+  return snapshot;
+}
+
+/**
+ * Take the daily snapshot if the last one is a day old
+ * Resolves with the snapshot, or null if none was due
+ */
+export async function saveDailySnapshot() {
+  let snapshot = null;
+
+  await updateSnapshots(async (snapshots) => {
+    const last = snapshots.find((saved) => saved.reason === 'daily');
+    if (last && Date.now() - last.createdAt < DAILY_SNAPSHOT_INTERVAL) return snapshots;
+
+    const data = await loadData();
+    if (data.boxes.length === 0) return snapshots;
+    snapshot = createSnapshot(data.boxes, 'daily', 'Daily snapshot');
+    return [snapshot, ...snapshots];
+  });
+
+  return snapshot;
+}
+
+/**
+ * Drop the oldest snapshots that no longer fit the budget, e.g. after it
+ * was lowered in the settings
+ */
+export async function trimSnapshots() {
+  await updateSnapshots((snapshots) => snapshots);
+}
+
+function createSnapshot(boxes, reason, label) {
+  const data = { schemaVersion: SCHEMA_VERSION, boxes: structuredClone(boxes) };
+  return {
+    id: generateId(),
+    createdAt: Date.now(),
+    reason,
+    label,
+    size: JSON.stringify(data).length,
+    data,
+  };
+}
+
+/**
+ * Change the snapshots after the changes already queued, then drop the
+ * oldest ones that no longer fit the budget in the settings. change may be
+ * async. Resolves with the updated snapshots.
+ */
+function updateSnapshots(change) {
+  const result = snapshotQueue.then(async () => {
+    const snapshots = (await readStorage(SNAPSHOTS_KEY)) || [];
+    const { settings } = await loadData();
+    const updated = fitSnapshotBudget(await change(snapshots), settings);
+    if (updated.length !== snapshots.length || updated.some((snapshot, i) => snapshot !== snapshots[i])) {
+      await writeStorage(SNAPSHOTS_KEY, updated);
+    }
+    return updated;
+  });
+  snapshotQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Keep the newest snapshots within the count and size budget. The newest one
+ * is always kept, even if it is larger than the whole budget.
+ */
+function fitSnapshotBudget(snapshots, settings) {
+  const limit = settings.snapshotLimit ?? DEFAULT_DATA.settings.snapshotLimit;
+  const maxSize = settings.snapshotMaxSize ?? DEFAULT_DATA.settings.snapshotMaxSize;
+
+  const kept = [];
+  let size = 0;
+  for (const snapshot of snapshots) {
+    if (kept.length > 0 && (kept.length >= limit || size + snapshot.size > maxSize)) break;
+    kept.push(snapshot);
+    size += snapshot.size;
+  }
+  return kept;
+}
+
+/**
+ * Load the Trash, newest first. Each entry is { id, deletedAt, kind, entry,
+ * ... } with the deleted space or item and where it was.
+ */
+export async function loadTrash() {
+  return (await readStorage(TRASH_KEY)) || [];
+}
+
+/**
+ * Add deleted spaces or items to the Trash. One deleted again replaces its
+ * older entry.
+ */
+export function addToTrash(entries) {
+  const deletedIds = new Set(entries.map((trashed) => trashed.entry.id));
+  return updateTrash((trash) => [
+    ...entries,
+    ...trash.filter((trashed) => !deletedIds.has(trashed.entry.id)),
+  ]);
+}
+
+/**
+ * Remove entries from the Trash, after restoring or purging them
+ */
+export function removeFromTrash(ids) {
+  return updateTrash((trash) => trash.filter((trashed) => !ids.includes(trashed.id)));
+}
+
+/**
+ * Purge entries that have been in the Trash longer than the settings allow
+ */
+export async function purgeExpiredTrash() {
+  const { settings } = await loadData();
+  const maxAge = settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+  return updateTrash((trash) => trash.filter((trashed) => Date.now() - trashed.deletedAt < maxAge));
+}
+
+/**
+ * Change the Trash after the changes already queued
+ * Resolves with the updated Trash.
+ */
+function updateTrash(change) {
+  const result = trashQueue.then(async () => {
+    const trash = await loadTrash();
+    const updated = change(trash);
+    if (updated.length !== trash.length || updated.some((trashed, i) => trashed !== trash[i])) {
+      await writeStorage(TRASH_KEY, updated);
+    }
+    return updated;
+  });
+  trashQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Load the Arc spaces as they were last imported: { [arcId]: items }, with
+ * the items copied by snapshotArcItems
+ */
+export async function loadArcImports() {
+  return (await readStorage(ARC_IMPORTS_KEY)) || {};
+}
+
+/**
+ * Remember what Arc spaces held when they were imported, replacing what was
+ * remembered from earlier imports of them
+ */
+export async function saveArcImports(imports) {
+  await writeStorage(ARC_IMPORTS_KEY, { ...(await loadArcImports()), ...imports });
 }
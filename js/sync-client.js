@@ -0,0 +1,114 @@
+// Sync Client Module
+// New-tab pages ask the background service worker, which owns Chrome
+// bookmarks sync, to sync and write bookmarks, and hear about the sync status
+
+/**
+ * Send a request to the background service worker
+ * Resolves with its result, or rejects with the error it reported
+ */
+function sendRequest(type, details = {}) {
+  return new Promise((resolve, reject) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+      reject(new Error('Background sync not available'));
+      return;
+    }
+
+    chrome.runtime.sendMessage({ type, ...details }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response?.error) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response?.result);
+      }
+    });
+  });
+}
+
+/**
+ * Listen for messages from the background service worker:
+ * { type: 'syncStatus', status } when the sync status changes
+ * Changes it saves to the stored data arrive as storage change events.
+ */
+export function onBackgroundMessage(listener) {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return;
+
+  chrome.runtime.onMessage.addListener((message) => {
+    listener(message);
+  });
+}
+
+/**
+ * Sync the saved spaces to Chrome bookmarks
+ * Resolves once the result is saved
+ */
+export function requestSync() {
+  return sendRequest('sync');
+}
+
+/**
+ * Remove a space's folder from Chrome bookmarks
+ */
+export function requestRemoveSpace(box) {
+  return sendRequest('removeSpace', {
+    entry: { chromeId: box.chromeId, title: box.title },
+  });
+}
+
+/**
+ * Remove an item from Chrome bookmarks
+ */
+export function requestRemoveItem(item) {
+  return sendRequest('removeItem', {
+    entry: { chromeId: item.chromeId, type: item.type, name: item.name },
+  });
+}
+
+/**
+ * Move space folders to where the saved settings now keep them
+ */
+export function requestChangeSyncRoot(previousSettings) {
+  return sendRequest('changeSyncRoot', { previousSettings });
+}
+
+/**
+ * List Chrome bookmark folders for Link from Chrome
+ */
+export function requestChromeFolders() {
+  return sendRequest('listChromeFolders');
+}
+
+/**
+ * Find orphaned copies of space folders in Chrome bookmarks
+ */
+export function requestDuplicateSyncFolders() {
+  return sendRequest('findDuplicateSyncFolders');
+}
+
+/**
+ * Remove a duplicate folder and everything left in it from Chrome bookmarks
+ */
+export function requestRemoveDuplicateFolder(chromeId) {
+  return sendRequest('removeDuplicateFolder', { chromeId });
+}
+
+/**
+ * Get the current sync status
+ */
+export function requestSyncStatus() {
+  return sendRequest('getSyncStatus');
+}
+
+/**
+ * Retry every failed Chrome bookmark write now
+ */
+export function requestRetry() {
+  return sendRequest('retryFailedOperations');
+}
+
+/**
+ * Forget every failed Chrome bookmark write
+ */
+export function requestClearFailures() {
+  return sendRequest('clearFailedOperations');
+}
@@ -1,26 +1,175 @@
 // Chrome Bookmarks Sync Module
-// Provides two-way sync between app spaces and Chrome's bookmarks bar
+// Provides two-way sync between app spaces and Chrome's bookmarks
 
-// Chrome Bookmarks Bar ID
+import { generateId } from './utils.js';
+import { loadSyncState, saveSyncState } from './storage.js';
+
+// Chrome Bookmarks Bar and Other Bookmarks IDs
 const BOOKMARKS_BAR_ID = '1';
+const OTHER_BOOKMARKS_ID = '2';
+
+// Where space folders are kept, from the syncRoot settings
+let syncRoot = {
+  type: 'bookmarksBar', // 'bookmarksBar', 'otherBookmarks' or 'folder'
+  folderName: 'Disemb-Arc',
+  folderId: null, // Chrome ID of the dedicated folder we created, if any
+};
+
+// Chrome events our own writes are expected to trigger, keyed by event type
+// and Chrome ID. Matching events are dropped so they aren't echoed back into
+// the app, while any other event is treated as an external edit.
+const expectedEvents = new Map();
 
-// Flag to prevent sync loops
-let isSyncing = false;
+// How long an expected event is waited for before it is forgotten
+const EXPECTED_EVENT_TTL = 10000;
+
+// Chrome IDs that were linked to app items after the last sync, persisted
+// with the failed writes since the service worker may be stopped between syncs
+let syncedChromeIds = new Set();
 
 // Callbacks for updating app state
 let onChromeBookmarkChanged = null;
 
+// Syncs the stored boxes again, so failed writes can be retried
+let resync = null;
+
+// Chrome writes that failed and are waiting to be retried, persisted so they
+// survive the page being closed. Each is
+// { key, type, title, retry: 'sync' | 'remove', chromeId?, recursive?,
+//   error, attempts, firstFailedAt, nextRetryAt }
+let failedOps = [];
+
+// Timer for the next retry of failed writes, and the retry in progress
+let retryTimer = null;
+let retryInProgress = null;
+
+// Number of syncs and retries in progress
+let activeSyncs = 0;
+
+// Retry delays double after each failed attempt, up to the maximum
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+
 /**
  * Initialize sync module with callback for Chrome changes
+ * resyncCallback syncs the stored boxes again when failed writes are retried.
+ * The Chrome listeners are added before anything is awaited, so the service
+ * worker receives the event it was started for.
  */
-export function initSync(changeCallback) {
+export async function initSync(changeCallback, resyncCallback = null) {
   onChromeBookmarkChanged = changeCallback;
+  resync = resyncCallback;
   setupChromeListeners();
+
+  // Pick up writes that were still failing when the worker last stopped
+  const state = await loadSyncState();
+  failedOps = state.failedOps;
+  syncedChromeIds = new Set(state.syncedChromeIds);
+  notifyStatus();
+  scheduleRetry();
+}
+
+/**
+ * Apply sync settings loaded from storage
+ */
+export function updateSyncSettings(settings) {
+  configureSyncRoot(settings);
+}
+
+/**
+ * Chrome ID of the dedicated sync folder, once found or created
+ */
+export function getSyncRootFolderId() {
+  return syncRoot.folderId;
+}
+
+/**
+ * Set where space folders are kept from the syncRoot settings
+ */
+function configureSyncRoot(settings) {
+  syncRoot = {
+    type: settings.syncRoot || 'bookmarksBar',
+    folderName: settings.syncRootFolderName || 'Disemb-Arc',
+    // The folder may have been created since the settings were loaded
+    folderId: settings.syncRootFolderId || syncRoot.folderId,
+  };
+}
+
+/**
+ * Change where space folders are kept and move the existing ones there
+ * A dedicated folder we created is removed once it is left empty
+ */
+export async function changeSyncRoot(boxes, settings) {
+  const previousFolderId = syncRoot.type === 'folder' ? syncRoot.folderId : null;
+  configureSyncRoot(settings);
+
+  if (!chrome?.bookmarks) return boxes;
+  await syncAllSpacesToChrome(boxes);
+
+  if (previousFolderId && previousFolderId !== getSyncRootId()) {
+    try {
+      const children = await chrome.bookmarks.getChildren(previousFolderId);
+      if (children.length === 0) {
+        await withExpectedEvent('removed', previousFolderId, {},
+          () => chrome.bookmarks.remove(previousFolderId));
+      }
+    } catch (err) {
+      console.warn('Failed to remove previous sync folder:', err);
+    }
+  }
+
+  return boxes;
+}
+
+/**
+ * Chrome ID of the folder space folders are kept in
+ */
+function getSyncRootId() {
+  if (syncRoot.type === 'otherBookmarks') return OTHER_BOOKMARKS_ID;
+  if (syncRoot.type === 'folder') return syncRoot.folderId;
+  return BOOKMARKS_BAR_ID;
+}
+
+/**
+ * Make sure the dedicated sync folder exists, creating it on the bookmarks
+ * bar if needed. Returns true if the bookmark tree was changed.
+ * The folder's ID is saved with the settings by the caller of the sync.
+ */
+async function ensureSyncRootFolder(snapshot) {
+  if (syncRoot.type !== 'folder') return false;
+
+  const folder = snapshot.get(syncRoot.folderId);
+  if (folder && !folder.url) {
+    if (folder.title !== syncRoot.folderName) {
+      await withExpectedEvent('changed', folder.id, { title: syncRoot.folderName },
+        () => chrome.bookmarks.update(folder.id, { title: syncRoot.folderName }));
+    }
+    return false;
+  }
+
+  // Re-use a folder with the same name on the bookmarks bar, e.g. when the
+  // stored folder ID was lost, instead of creating a second one
+  const existingId = snapshot.get(BOOKMARKS_BAR_ID).children.find((id) => {
+    const node = snapshot.get(id);
+    return !node.url && node.title === syncRoot.folderName;
+  });
+  if (existingId) {
+    syncRoot.folderId = existingId;
+    return false;
+  }
+
+  const created = await withExpectedEvent('created', BOOKMARKS_BAR_ID, { title: syncRoot.folderName },
+    () => chrome.bookmarks.create({ parentId: BOOKMARKS_BAR_ID, title: syncRoot.folderName }));
+  syncRoot.folderId = created.id;
+  return true;
 }
 
 /**
- * Sync all spaces to Chrome bookmarks bar
- * Creates folders for each space and syncs their contents
+ * Sync all spaces to Chrome bookmarks
+ * Compares the spaces against a single snapshot of Chrome's bookmark tree
+ * and applies only the create/update/move/remove operations that differ.
+ * Chrome IDs of created nodes are set on the boxes in place, so edits made
+ * to them while the sync runs are kept.
  */
 export async function syncAllSpacesToChrome(boxes) {
   if (!chrome?.bookmarks) {
@@ -28,127 +177,647 @@ export async function syncAllSpacesToChrome(boxes) {
     return boxes;
   }
 
-  isSyncing = true;
+  beginSync();
   try {
-    const updatedBoxes = [];
-    for (const box of boxes) {
-      const updatedBox = await syncSpaceToChrome(box);
-      updatedBoxes.push(updatedBox);
+    let [root] = await chrome.bookmarks.getTree();
+    if (await ensureSyncRootFolder(buildSnapshot(root))) {
+      [root] = await chrome.bookmarks.getTree();
+    }
+
+    // Local-only and mirror spaces are never written to Chrome
+    const nodes = indexChromeTree(root);
+    const synced = boxes.filter((box) => getSyncMode(box) === 'synced');
+    relinkToChrome(synced, nodes, getSyncRootId());
+
+    const plan = planSync(synced, buildSnapshot(root), getSyncRootId());
+    const { createdIds, failures } = await applyOps(plan.ops);
+
+    synced.forEach((box) => assignChromeIds(box, createdIds));
+    syncedChromeIds = collectChromeIds(synced);
+    recordSyncFailures(failures);
+
+    // Mirror spaces take their contents from Chrome instead
+    boxes
+      .filter((box) => getSyncMode(box) === 'mirror')
+      .forEach((box) => refreshMirror(box, nodes));
+
+    // Let the app show values pulled from Chrome and any new conflicts
+    if ((plan.pulled > 0 || plan.conflicts > 0) && onChromeBookmarkChanged) {
+      onChromeBookmarkChanged('pulled', { pulled: plan.pulled, conflicts: plan.conflicts });
     }
-    return updatedBoxes;
+  } catch (err) {
+    // Chrome's bookmark tree couldn't be read, or the sync folder created
+    console.warn('Failed to sync Chrome bookmarks:', err);
+    recordSyncFailures([{ key: 'sync', type: 'sync', retry: 'sync', title: 'Bookmark tree', error: err }]);
   } finally {
-    isSyncing = false;
+    endSync();
   }
+
+  return boxes;
 }
 
 /**
- * Sync a single space (box) to Chrome bookmarks
+ * Get a space's sync mode: 'synced' (two-way), 'local' (never written to
+ * Chrome) or 'mirror' (read-only copy of its Chrome folder)
  */
-export async function syncSpaceToChrome(box) {
-  if (!chrome?.bookmarks) return box;
+export function getSyncMode(box) {
+  return box.syncMode || 'synced';
+}
 
-  isSyncing = true;
-  try {
-    let chromeId = box.chromeId;
+/**
+ * Map every node in a Chrome bookmark tree by ID
+ */
+function indexChromeTree(root) {
+  const nodes = new Map();
+  const visit = (node) => {
+    nodes.set(node.id, node);
+    (node.children || []).forEach(visit);
+  };
+  visit(root);
+  return nodes;
+}
 
-    // Check if the Chrome folder still exists
-    if (chromeId) {
-      try {
-        await chrome.bookmarks.get(chromeId);
-      } catch {
-        // Folder was deleted in Chrome, recreate it
-        chromeId = null;
-      }
+/**
+ * Replace a mirror space's title and items with its Chrome folder's contents
+ * Items already in the space keep their IDs and expand state
+ */
+function refreshMirror(box, nodes) {
+  const folder = nodes.get(box.chromeId);
+  if (!folder || folder.url) return;
+
+  const existing = new Map();
+  const collect = (items) => {
+    for (const item of items) {
+      if (item.chromeId) existing.set(item.chromeId, item);
+      if (item.children) collect(item.children);
     }
+  };
+  collect(box.items);
 
-    // Create or update the space folder
-    if (!chromeId) {
-      const folder = await chrome.bookmarks.create({
-        parentId: BOOKMARKS_BAR_ID,
-        title: box.title,
-      });
-      chromeId = folder.id;
+  const mirror = (children) => children.map((node) => {
+    const item = existing.get(node.id);
+    if (!item) return chromeNodeToItem(node);
+
+    const updated = { ...item, name: node.title };
+    if (node.url) {
+      updated.url = node.url;
     } else {
-      await chrome.bookmarks.update(chromeId, { title: box.title });
+      updated.children = mirror(node.children || []);
     }
+    return updated;
+  });
+
+  box.title = folder.title;
+  box.items = mirror(folder.children || []);
+}
 
-    // Sync all items in the space
-    const updatedItems = await syncItemsToChrome(box.items, chromeId);
+/**
+ * Link spaces and items whose Chrome node has gone missing (e.g. restored
+ * after extension storage was lost) to matching nodes that already exist, so
+ * that sync re-uses them instead of creating duplicates. Entries that never
+ * had a Chrome node are left alone. Chrome IDs are set on the boxes in place.
+ */
+function relinkToChrome(boxes, nodes, rootId) {
+  const claimed = new Set([...collectChromeIds(boxes)].filter((id) => nodes.has(id)));
 
-    return {
-      ...box,
-      chromeId,
-      items: updatedItems,
-    };
-  } finally {
-    isSyncing = false;
+  for (const box of boxes) {
+    if (box.chromeId && !nodes.has(box.chromeId)) {
+      const folder = findMatchingSpaceFolder(box, nodes, claimed, rootId);
+      if (folder) {
+        box.chromeId = folder.id;
+        claimed.add(folder.id);
+      }
+    }
+
+    const folder = nodes.get(box.chromeId);
+    if (folder && !folder.url) {
+      relinkItems(box.items, folder, nodes, claimed);
+    }
   }
 }
 
 /**
- * Sync items (folders and bookmarks) to Chrome
+ * Link items to unclaimed children of their parent's Chrome folder, matching
+ * bookmarks by URL (preferring the same title) and folders by title
  */
-async function syncItemsToChrome(items, parentChromeId) {
-  const updatedItems = [];
-
+function relinkItems(items, folder, nodes, claimed) {
   for (const item of items) {
-    let chromeId = item.chromeId;
+    if (item.chromeId && !nodes.has(item.chromeId)) {
+      const candidates = (folder.children || []).filter((node) => !claimed.has(node.id));
+      const match = item.type === 'folder'
+        ? candidates.find((node) => !node.url && node.title === item.name)
+        : candidates.find((node) => sameUrl(node.url, item.url) && node.title === item.name) ||
+          candidates.find((node) => sameUrl(node.url, item.url));
 
-    // Check if the Chrome bookmark still exists
-    if (chromeId) {
-      try {
-        await chrome.bookmarks.get(chromeId);
-      } catch {
-        chromeId = null;
+      if (match) {
+        item.chromeId = match.id;
+        claimed.add(match.id);
       }
     }
 
-    if (item.type === 'folder') {
-      // Create or update folder
-      if (!chromeId) {
-        const folder = await chrome.bookmarks.create({
-          parentId: parentChromeId,
-          title: item.name,
-        });
-        chromeId = folder.id;
+    const node = nodes.get(item.chromeId);
+    if (item.type === 'folder' && node && !node.url) {
+      relinkItems(item.children || [], node, nodes, claimed);
+    }
+  }
+}
+
+/**
+ * Find an unclaimed folder directly in the sync root with the space's title
+ * that shares at least one bookmark URL with it, preferring the folder
+ * sharing the most
+ */
+function findMatchingSpaceFolder(box, nodes, claimed, rootId) {
+  const urls = new Set(collectUrls(box.items).map(normalizeUrl));
+  let best = null;
+  let bestShared = 0;
+
+  for (const node of nodes.get(rootId)?.children || []) {
+    if (node.url || claimed.has(node.id) || node.title !== box.title) continue;
+
+    const shared = collectChromeUrls(node).filter((url) => urls.has(normalizeUrl(url))).length;
+    if (shared > bestShared) {
+      best = node;
+      bestShared = shared;
+    }
+  }
+
+  return best;
+}
+
+function collectUrls(items) {
+  return items.flatMap((item) => (
+    item.type === 'folder' ? collectUrls(item.children || []) : [item.url]
+  ));
+}
+
+function collectChromeUrls(node) {
+  if (node.url) return [node.url];
+  return (node.children || []).flatMap(collectChromeUrls);
+}
+
+/**
+ * Get the fields synced with Chrome for a space ({ title }) or an item
+ * ({ title } for folders, { title, url } for bookmarks)
+ */
+function getEntryFields(entry) {
+  if (entry.items) return { title: entry.title };
+  if (entry.type === 'folder') return { title: entry.name };
+  return { title: entry.name, url: entry.url };
+}
+
+/**
+ * Get a Chrome node's values for the same fields as an entry
+ */
+function getNodeFields(node, fields) {
+  return 'url' in fields ? { title: node.title, url: node.url } : { title: node.title };
+}
+
+function setEntryFields(entry, fields) {
+  if (entry.items) {
+    entry.title = fields.title;
+  } else {
+    entry.name = fields.title;
+  }
+  if ('url' in fields) entry.url = fields.url;
+}
+
+function sameFields(a, b) {
+  return a.title === b.title && (!('url' in a) || sameUrl(a.url, b.url));
+}
+
+/**
+ * Apply a title or URL change made in Chrome (from onChanged) to a space or
+ * item. If the entry also has an edit that hasn't been synced yet and the
+ * values differ, it is marked as a conflict instead.
+ * Returns 'applied' or 'conflict'.
+ */
+export function applyChromeChange(entry, changeInfo) {
+  const fields = getEntryFields(entry);
+  const chromeFields = {
+    title: changeInfo.title ?? fields.title,
+    ...('url' in fields && { url: changeInfo.url ?? fields.url }),
+  };
+
+  const base = entry.lastSynced;
+  const appChanged = Boolean(base) && !sameFields(base, fields);
+  if (appChanged && !sameFields(fields, chromeFields)) {
+    entry.conflict = { ...chromeFields, detectedAt: Date.now() };
+    return 'conflict';
+  }
+
+  setEntryFields(entry, chromeFields);
+  entry.lastSynced = chromeFields;
+  delete entry.conflict;
+  return 'applied';
+}
+
+/**
+ * Resolve a conflict by keeping the app's values ('app') or Chrome's ('chrome')
+ * Keeping the app's values pushes them to Chrome on the next sync
+ */
+export function resolveConflict(entry, keep) {
+  const chromeFields = { title: entry.conflict.title };
+  if ('url' in entry.conflict) chromeFields.url = entry.conflict.url;
+
+  if (keep === 'chrome') setEntryFields(entry, chromeFields);
+  entry.lastSynced = chromeFields;
+  delete entry.conflict;
+}
+
+/**
+ * Compare URLs the way Chrome stores them (e.g. with a trailing slash added)
+ */
+function sameUrl(a, b) {
+  return Boolean(a) && Boolean(b) && normalizeUrl(a) === normalizeUrl(b);
+}
+
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Find folders that look like orphaned copies of synced spaces: unlinked
+ * folders with a space's title next to its folder or in the sync root
+ * Returns [{ chromeId, title, bookmarkCount, boxId, location }]
+ */
+export async function findDuplicateSyncFolders(boxes) {
+  if (!chrome?.bookmarks) return [];
+
+  const [root] = await chrome.bookmarks.getTree();
+  const nodes = indexChromeTree(root);
+  const claimed = collectChromeIds(boxes);
+  const duplicates = [];
+
+  for (const box of boxes) {
+    const folder = nodes.get(box.chromeId);
+    if (getSyncMode(box) === 'local' || !folder) continue;
+
+    const parentIds = new Set([folder.parentId, getSyncRootId()]);
+    for (const node of nodes.values()) {
+      if (node.url || claimed.has(node.id) || node.title !== box.title) continue;
+      if (!parentIds.has(node.parentId) || containsChromeId(node, claimed)) continue;
+
+      duplicates.push({
+        chromeId: node.id,
+        title: node.title,
+        bookmarkCount: countChromeBookmarks(node),
+        boxId: box.id,
+        location: nodes.get(node.parentId)?.title || '',
+      });
+    }
+  }
+
+  return duplicates;
+}
+
+function containsChromeId(node, ids) {
+  return (node.children || []).some((child) => ids.has(child.id) || containsChromeId(child, ids));
+}
+
+/**
+ * Merge a duplicate Chrome folder's contents into a space
+ * Bookmarks whose URL is already in the same folder of the space are skipped;
+ * everything else is added, keeping its Chrome ID so the next sync moves it
+ * into the space's folder. Returns the number of items added.
+ */
+export async function mergeDuplicateFolder(box, chromeId) {
+  const folder = await getChromeItem(chromeId);
+  if (!folder) return 0;
+
+  const merge = (items, incoming) => {
+    let added = 0;
+    for (const item of incoming) {
+      if (item.type === 'bookmark') {
+        if (!items.some((i) => i.type === 'bookmark' && sameUrl(i.url, item.url))) {
+          items.push(item);
+          added++;
+        }
+        continue;
+      }
+
+      const existing = items.find((i) => i.type === 'folder' && i.name === item.name);
+      if (existing) {
+        existing.children = existing.children || [];
+        added += merge(existing.children, item.children);
       } else {
-        await chrome.bookmarks.update(chromeId, { title: item.name });
+        items.push(item);
+        added++;
       }
+    }
+    return added;
+  };
 
-      // Recursively sync children
-      const updatedChildren = item.children
-        ? await syncItemsToChrome(item.children, chromeId)
-        : [];
+  return merge(box.items, folder.children);
+}
 
-      updatedItems.push({
-        ...item,
-        chromeId,
-        children: updatedChildren,
-      });
+/**
+ * Remove a duplicate folder and everything left in it from Chrome
+ */
+export async function removeDuplicateFolder(chromeId) {
+  if (!chrome?.bookmarks) return;
+
+  try {
+    await withExpectedEvent('removed', chromeId, {},
+      () => chrome.bookmarks.removeTree(chromeId));
+  } catch (err) {
+    console.warn('Failed to remove duplicate Chrome bookmark folder:', err);
+  }
+}
+
+/**
+ * Build a flat map of Chrome bookmark nodes keyed by ID
+ * Children are stored as ID arrays so the map can be mutated while planning
+ */
+function buildSnapshot(root) {
+  const snapshot = new Map();
+
+  const visit = (node) => {
+    snapshot.set(node.id, {
+      id: node.id,
+      parentId: node.parentId,
+      title: node.title,
+      url: node.url,
+      children: (node.children || []).map((child) => child.id),
+    });
+    (node.children || []).forEach(visit);
+  };
+  visit(root);
+
+  return snapshot;
+}
+
+/**
+ * Compute the operations needed to make Chrome match the spaces
+ * The snapshot is updated as each operation is planned, so indices in later
+ * operations account for the earlier ones. Titles and URLs changed only in
+ * Chrome are pulled into the spaces instead, and ones changed on both sides
+ * are marked as conflicts. Returns { ops, pulled, conflicts }.
+ */
+function planSync(boxes, snapshot, rootId) {
+  const plan = { ops: [], pulled: 0, conflicts: 0 };
+  const linked = new Set(
+    [...collectChromeIds(boxes)].filter((id) => snapshot.has(id))
+  );
+  const linkedFolders = new Set(
+    [...linked].filter((id) => !snapshot.get(id).url)
+  );
+
+  // Space folders keep the order of boxes in the sync root, while other
+  // bookmarks there keep their positions relative to each other. Folders
+  // found outside the sync root (e.g. after the setting changed) move into it.
+  const root = snapshot.get(rootId);
+  let prevKey = null;
+
+  for (const box of boxes) {
+    let key = linkedFolders.has(box.chromeId) ? box.chromeId : null;
+
+    if (!key) {
+      const index = prevKey ? root.children.indexOf(prevKey) + 1 : root.children.length;
+      key = planCreate(plan, snapshot, box, rootId, index, { title: box.title });
     } else {
-      // Create or update bookmark
-      if (!chromeId) {
-        const bookmark = await chrome.bookmarks.create({
-          parentId: parentChromeId,
-          title: item.name,
-          url: item.url,
-        });
-        chromeId = bookmark.id;
-      } else {
-        await chrome.bookmarks.update(chromeId, {
-          title: item.name,
-          url: item.url,
-        });
+      planFields(plan, snapshot, key, box, { title: box.title });
+
+      // Folders linked from elsewhere in Chrome stay where the user keeps them
+      const node = snapshot.get(key);
+      const prevIndex = prevKey ? root.children.indexOf(prevKey) : -1;
+      const misplaced = node.parentId === rootId
+        ? root.children.indexOf(key) <= prevIndex
+        : !box.linkedFolder;
+      if (misplaced) {
+        const siblings = root.children.filter((id) => id !== key);
+        const index = prevKey ? siblings.indexOf(prevKey) + 1 : 0;
+        planMove(plan, snapshot, key, rootId, index);
       }
+    }
 
-      updatedItems.push({
-        ...item,
-        chromeId,
-      });
+    planItems(plan, snapshot, box.items, key, linked);
+    if (snapshot.get(key).parentId === rootId) prevKey = key;
+  }
+
+  // Remove nodes we synced before that the app no longer has. This runs last
+  // so linked items have already been moved out of folders being removed.
+  // Nodes moved out of our folders in Chrome, or never ours, are left alone.
+  for (const id of syncedChromeIds) {
+    const node = snapshot.get(id);
+    if (node && !linked.has(id) && linkedFolders.has(node.parentId)) {
+      plan.ops.push({ type: 'remove', id, title: node.title });
+      detachNode(snapshot, id);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Plan operations for items (folders and bookmarks) under a parent node
+ * Each item is placed at the same index it has in items
+ */
+function planItems(plan, snapshot, items, parentKey, linked) {
+  items.forEach((item, index) => {
+    const fields = getEntryFields(item);
+    let key = linked.has(item.chromeId) ? item.chromeId : null;
+
+    if (!key) {
+      key = planCreate(plan, snapshot, item, parentKey, index, fields);
+    } else {
+      planFields(plan, snapshot, key, item, fields);
+
+      const node = snapshot.get(key);
+      const siblings = snapshot.get(parentKey).children;
+      if (node.parentId !== parentKey || siblings.indexOf(key) !== index) {
+        planMove(plan, snapshot, key, parentKey, index);
+      }
+    }
+
+    if (item.type === 'folder') {
+      planItems(plan, snapshot, item.children || [], key, linked);
+    }
+  });
+}
+
+/**
+ * Plan a create, returning the placeholder key used until the real ID is known
+ */
+function planCreate(plan, snapshot, entry, parentKey, index, fields) {
+  const key = pendingKey(entry.id);
+  plan.ops.push({ type: 'create', key, parentId: parentKey, index, ...fields, entry, synced: fields });
+  snapshot.set(key, { id: key, parentId: parentKey, ...fields, children: [] });
+  snapshot.get(parentKey).children.splice(index, 0, key);
+  return key;
+}
+
+/**
+ * Reconcile a space's or item's title and URL with its Chrome node, using
+ * the values both sides agreed on at the last sync (entry.lastSynced):
+ * - only the app changed: plan an update to Chrome
+ * - only Chrome changed: take Chrome's values
+ * - both changed: mark a conflict for the user to resolve, and leave both
+ */
+function planFields(plan, snapshot, key, entry, fields) {
+  // Left alone until the user resolves it
+  if (entry.conflict) return;
+
+  const node = snapshot.get(key);
+  const chromeFields = getNodeFields(node, fields);
+  if (sameFields(fields, chromeFields)) {
+    entry.lastSynced = chromeFields;
+    return;
+  }
+
+  // Entries synced before versions were tracked count as changed in the app
+  const base = entry.lastSynced;
+  const chromeChanged = Boolean(base) && !sameFields(base, chromeFields);
+  const appChanged = !base || !sameFields(base, fields);
+
+  if (chromeChanged && appChanged) {
+    entry.conflict = { ...chromeFields, detectedAt: Date.now() };
+    plan.conflicts++;
+  } else if (chromeChanged) {
+    setEntryFields(entry, chromeFields);
+    entry.lastSynced = chromeFields;
+    plan.pulled++;
+  } else {
+    planUpdate(plan, snapshot, key, entry, fields);
+  }
+}
+
+/**
+ * Plan an update of the title and URL fields that differ from Chrome
+ */
+function planUpdate(plan, snapshot, key, entry, fields) {
+  const node = snapshot.get(key);
+  const changes = {};
+  if (fields.title !== node.title) changes.title = fields.title;
+  if ('url' in fields && !sameUrl(fields.url, node.url)) changes.url = fields.url;
+
+  plan.ops.push({ type: 'update', id: key, title: fields.title, changes, entry, synced: fields });
+  Object.assign(node, changes);
+}
+
+/**
+ * Plan a move so the node ends up at index under parentKey
+ */
+function planMove(plan, snapshot, key, parentKey, index) {
+  const node = snapshot.get(key);
+  const oldSiblings = snapshot.get(node.parentId).children;
+  const oldIndex = oldSiblings.indexOf(key);
+
+  // Chrome interprets the index before removing the node from its old
+  // position, so moving later within the same parent needs one extra slot
+  const chromeIndex = node.parentId === parentKey && oldIndex < index ? index + 1 : index;
+  plan.ops.push({ type: 'move', id: key, title: node.title, parentId: parentKey, index: chromeIndex });
+
+  oldSiblings.splice(oldIndex, 1);
+  snapshot.get(parentKey).children.splice(index, 0, key);
+  node.parentId = parentKey;
+}
+
+/**
+ * Remove a node and its descendants from the snapshot
+ */
+function detachNode(snapshot, key) {
+  const node = snapshot.get(key);
+  const siblings = snapshot.get(node.parentId).children;
+  siblings.splice(siblings.indexOf(key), 1);
+
+  const drop = (id) => {
+    snapshot.get(id).children.forEach(drop);
+    snapshot.delete(id);
+  };
+  drop(key);
+}
+
+/**
+ * Apply planned operations to Chrome
+ * Returns { createdIds, failures }: a map of placeholder keys to the IDs of
+ * the created nodes, and the operations that failed, to be retried
+ */
+async function applyOps(ops) {
+  const createdIds = new Map();
+  const failures = [];
+  const resolve = (key) => createdIds.get(key) || key;
+
+  for (const op of ops) {
+    try {
+      switch (op.type) {
+        case 'create': {
+          const details = { parentId: resolve(op.parentId), index: op.index, title: op.title };
+          if (op.url !== undefined) details.url = op.url;
+          // Matched on title only, as Chrome may normalize the URL
+          const node = await withExpectedEvent('created', details.parentId, { title: op.title },
+            () => chrome.bookmarks.create(details));
+          createdIds.set(op.key, node.id);
+          op.entry.lastSynced = op.synced;
+          break;
+        }
+        case 'update':
+          await withExpectedEvent('changed', op.id, op.changes,
+            () => chrome.bookmarks.update(op.id, op.changes));
+          op.entry.lastSynced = op.synced;
+          break;
+        case 'move': {
+          const parentId = resolve(op.parentId);
+          await withExpectedEvent('moved', op.id, { parentId },
+            () => chrome.bookmarks.move(op.id, { parentId, index: op.index }));
+          break;
+        }
+        case 'remove':
+          await removeChromeNode(op.id, true);
+          break;
+      }
+    } catch (err) {
+      console.warn(`Failed to ${op.type} Chrome bookmark:`, err);
+      // A later sync plans creates, updates and moves again by itself, but
+      // not removes, since the removed node is no longer linked to anything
+      failures.push(op.type === 'remove'
+        ? { key: `remove:${op.id}`, type: 'remove', retry: 'remove', chromeId: op.id, recursive: true, title: op.title, error: err }
+        : { key: `${op.type}:${op.entry?.id || op.id}`, type: op.type, retry: 'sync', title: op.title, error: err });
     }
   }
 
-  return updatedItems;
+  return { createdIds, failures };
+}
+
+/**
+ * Placeholder key for a node that is planned but not yet created
+ */
+function pendingKey(itemId) {
+  return `pending:${itemId}`;
+}
+
+/**
+ * Fill in the Chrome IDs of newly created nodes on a box or item and its children
+ */
+function assignChromeIds(entry, createdIds) {
+  const chromeId = createdIds.get(pendingKey(entry.id));
+  if (chromeId) entry.chromeId = chromeId;
+
+  (entry.items || entry.children || []).forEach((child) => assignChromeIds(child, createdIds));
+}
+
+/**
+ * Collect every Chrome ID referenced by the boxes and their items
+ */
+function collectChromeIds(boxes) {
+  const ids = new Set();
+
+  const visit = (items) => {
+    for (const item of items) {
+      if (item.chromeId) ids.add(item.chromeId);
+      if (item.children) visit(item.children);
+    }
+  };
+  for (const box of boxes) {
+    if (box.chromeId) ids.add(box.chromeId);
+    visit(box.items);
+  }
+
+  return ids;
 }
 
 /**
@@ -157,13 +826,11 @@ async function syncItemsToChrome(items, parentChromeId) {
 export async function removeSpaceFromChrome(box) {
   if (!chrome?.bookmarks || !box.chromeId) return;
 
-  isSyncing = true;
   try {
-    await chrome.bookmarks.removeTree(box.chromeId);
+    await removeChromeNode(box.chromeId, true);
   } catch (err) {
     console.warn('Failed to remove Chrome bookmark folder:', err);
-  } finally {
-    isSyncing = false;
+    queueFailedRemove(box.chromeId, true, box.title, err);
   }
 }
 
@@ -173,20 +840,234 @@ export async function removeSpaceFromChrome(box) {
 export async function removeItemFromChrome(item) {
   if (!chrome?.bookmarks || !item.chromeId) return;
 
-  isSyncing = true;
+  const recursive = item.type === 'folder';
   try {
-    if (item.type === 'folder') {
-      await chrome.bookmarks.removeTree(item.chromeId);
-    } else {
-      await chrome.bookmarks.remove(item.chromeId);
-    }
+    await removeChromeNode(item.chromeId, recursive);
   } catch (err) {
     console.warn('Failed to remove Chrome bookmark:', err);
+    queueFailedRemove(item.chromeId, recursive, item.name, err);
+  }
+}
+
+/**
+ * Remove a node from Chrome, succeeding if it is already gone
+ */
+async function removeChromeNode(chromeId, recursive) {
+  try {
+    await withExpectedEvent('removed', chromeId, {}, () => (
+      recursive
+        ? chrome.bookmarks.removeTree(chromeId)
+        : chrome.bookmarks.remove(chromeId)
+    ));
+  } catch (err) {
+    if (await chromeNodeExists(chromeId)) throw err;
+  }
+}
+
+async function chromeNodeExists(chromeId) {
+  try {
+    await chrome.bookmarks.get(chromeId);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the sync status shown in the banner
+ * Returns { state: 'synced' | 'syncing' | 'error', failures }
+ */
+export function getSyncStatus() {
+  let state = 'synced';
+  if (activeSyncs > 0) state = 'syncing';
+  else if (failedOps.length > 0) state = 'error';
+
+  return { state, failures: failedOps.map((op) => ({ ...op })) };
+}
+
+/**
+ * Retry every failed write now instead of waiting for its next attempt
+ */
+export async function retryFailedOperations() {
+  failedOps.forEach((op) => { op.nextRetryAt = 0; });
+  await retryFailedOps();
+}
+
+/**
+ * Forget every failed write, e.g. once the user has fixed things by hand
+ */
+export async function clearFailedOperations() {
+  failedOps = [];
+  await persistSyncState();
+}
+
+function beginSync() {
+  activeSyncs++;
+  notifyStatus();
+}
+
+function endSync() {
+  activeSyncs--;
+  notifyStatus();
+}
+
+function notifyStatus() {
+  if (onChromeBookmarkChanged) {
+    onChromeBookmarkChanged('status', getSyncStatus());
+  }
+}
+
+/**
+ * Record the failures of a sync. Failures a sync retries by itself are
+ * replaced, since one that no longer happens has been fixed by this sync.
+ */
+function recordSyncFailures(failures) {
+  const previous = failedOps;
+  failedOps = failedOps.filter((op) => op.retry !== 'sync');
+  failures.forEach((failure) => addFailedOp(failure, previous));
+  persistSyncState();
+}
+
+/**
+ * Queue a remove that failed outside a sync
+ */
+function queueFailedRemove(chromeId, recursive, title, error) {
+  addFailedOp({ key: `remove:${chromeId}`, type: 'remove', retry: 'remove', chromeId, recursive, title, error });
+  persistSyncState();
+}
+
+/**
+ * Add a failure to the queue, or count another attempt if it is already
+ * there, and schedule its next retry with backoff
+ */
+function addFailedOp(failure, previous = failedOps) {
+  const existing = previous.find((op) => op.key === failure.key);
+  const attempts = existing ? existing.attempts + 1 : 1;
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+
+  failedOps = failedOps.filter((op) => op.key !== failure.key);
+  failedOps.push({
+    ...failure,
+    error: failure.error?.message || String(failure.error),
+    attempts,
+    firstFailedAt: existing ? existing.firstFailedAt : Date.now(),
+    nextRetryAt: Date.now() + delay,
+  });
+}
+
+async function persistSyncState() {
+  notifyStatus();
+  scheduleRetry();
+  await saveSyncState({ failedOps, syncedChromeIds: [...syncedChromeIds] });
+}
+
+/**
+ * Set a timer for the failed write that is due to be retried first
+ */
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (failedOps.length === 0) return;
+
+  const next = Math.min(...failedOps.map((op) => op.nextRetryAt));
+  retryTimer = setTimeout(retryFailedOps, Math.max(0, next - Date.now()));
+}
+
+/**
+ * Retry the failed writes that are due, unless a retry is already running
+ */
+function retryFailedOps() {
+  retryTimer = null;
+  if (!retryInProgress) {
+    retryInProgress = runRetry().finally(() => {
+      retryInProgress = null;
+      scheduleRetry();
+    });
+  }
+  return retryInProgress;
+}
+
+/**
+ * Removes are retried directly; other writes are retried by syncing again,
+ * which plans whatever is still missing
+ */
+async function runRetry() {
+  const now = Date.now();
+  const due = failedOps.filter((op) => op.nextRetryAt <= now);
+
+  beginSync();
+  try {
+    for (const op of due.filter((o) => o.retry === 'remove')) {
+      try {
+        await removeChromeNode(op.chromeId, op.recursive);
+        failedOps = failedOps.filter((o) => o.key !== op.key);
+      } catch (err) {
+        addFailedOp({ ...op, error: err });
+      }
+    }
   } finally {
-    isSyncing = false;
+    endSync();
+  }
+  await persistSyncState();
+
+  if (resync && due.some((op) => op.retry === 'sync')) {
+    await resync();
+  }
+}
+
+/**
+ * Run a Chrome bookmark write, expecting the event it will trigger
+ * The expectation is registered before the write because Chrome may deliver
+ * the event before the write's promise resolves
+ */
+async function withExpectedEvent(type, id, details, write) {
+  const key = `${type}:${id}`;
+  const entry = { details, expires: Date.now() + EXPECTED_EVENT_TTL };
+  const entries = expectedEvents.get(key) || [];
+  entries.push(entry);
+  expectedEvents.set(key, entries);
+
+  try {
+    return await write();
+  } catch (err) {
+    // A failed write triggers no event, so stop waiting for it
+    removeExpectedEvent(key, entry);
+    throw err;
   }
 }
 
+/**
+ * Check whether a Chrome event was caused by our own write, consuming the
+ * matching expectation if so. Every expected detail must match the event.
+ */
+function consumeExpectedEvent(type, id, info) {
+  const key = `${type}:${id}`;
+  const entries = expectedEvents.get(key);
+  if (!entries) return false;
+
+  const now = Date.now();
+  const entry = entries.find((e) => (
+    e.expires > now &&
+    Object.entries(e.details).every(([field, value]) => (
+      field === 'url' ? sameUrl(info.url, value) : info[field] === value
+    ))
+  ));
+
+  // Drop expired expectations for this key while we're here
+  entries.filter((e) => e.expires <= now).forEach((e) => removeExpectedEvent(key, e));
+  if (entry) removeExpectedEvent(key, entry);
+  return Boolean(entry);
+}
+
+function removeExpectedEvent(key, entry) {
+  const entries = expectedEvents.get(key);
+  if (!entries) return;
+
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+  if (entries.length === 0) expectedEvents.delete(key);
+}
+
 /**
  * Setup Chrome bookmark event listeners for two-way sync
  */
@@ -195,7 +1076,7 @@ function setupChromeListeners() {
 
   // Bookmark created in Chrome
   chrome.bookmarks.onCreated.addListener((id, bookmark) => {
-    if (isSyncing) return;
+    if (consumeExpectedEvent('created', bookmark.parentId, bookmark)) return;
     if (onChromeBookmarkChanged) {
       onChromeBookmarkChanged('created', { id, bookmark });
     }
@@ -203,7 +1084,7 @@ function setupChromeListeners() {
 
   // Bookmark removed in Chrome
   chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
-    if (isSyncing) return;
+    if (consumeExpectedEvent('removed', id, removeInfo)) return;
     if (onChromeBookmarkChanged) {
       onChromeBookmarkChanged('removed', { id, removeInfo });
     }
@@ -211,7 +1092,7 @@ function setupChromeListeners() {
 
   // Bookmark changed in Chrome (title or URL)
   chrome.bookmarks.onChanged.addListener((id, changeInfo) => {
-    if (isSyncing) return;
+    if (consumeExpectedEvent('changed', id, changeInfo)) return;
     if (onChromeBookmarkChanged) {
       onChromeBookmarkChanged('changed', { id, changeInfo });
     }
@@ -219,13 +1100,93 @@ function setupChromeListeners() {
 
   // Bookmark moved in Chrome
   chrome.bookmarks.onMoved.addListener((id, moveInfo) => {
-    if (isSyncing) return;
+    if (consumeExpectedEvent('moved', id, moveInfo)) return;
     if (onChromeBookmarkChanged) {
       onChromeBookmarkChanged('moved', { id, moveInfo });
     }
   });
 }
 
+/**
+ * Fetch a Chrome bookmark node with its whole subtree, converted to app items
+ */
+export async function getChromeItem(chromeId) {
+  if (!chrome?.bookmarks) return null;
+
+  try {
+    const [node] = await chrome.bookmarks.getSubTree(chromeId);
+    return node ? chromeNodeToItem(node) : null;
+  } catch (err) {
+    console.warn('Failed to read Chrome bookmark:', err);
+    return null;
+  }
+}
+
+/**
+ * List every folder in Chrome's bookmark tree, in tree order
+ * Each entry has { id, title, depth, bookmarkCount, available }, where
+ * available is false for the root folders, folders already linked to a space
+ * or inside one, and folders that contain a linked folder
+ */
+export async function listChromeFolders(boxes) {
+  if (!chrome?.bookmarks) return [];
+
+  const [root] = await chrome.bookmarks.getTree();
+  const linked = collectChromeIds(boxes);
+  const folders = [];
+
+  // Returns whether the subtree contains a linked node
+  const visit = (node, depth, insideLinked) => {
+    let containsLinked = false;
+
+    for (const child of node.children || []) {
+      if (child.url) continue;
+
+      const isLinked = linked.has(child.id);
+      const entry = {
+        id: child.id,
+        title: child.title,
+        depth,
+        bookmarkCount: countChromeBookmarks(child),
+      };
+      folders.push(entry);
+
+      const childContainsLinked = visit(child, depth + 1, insideLinked || isLinked);
+      entry.available = node.id !== root.id && child.id !== syncRoot.folderId &&
+        !insideLinked && !isLinked && !childContainsLinked;
+      containsLinked = containsLinked || isLinked || childContainsLinked;
+    }
+
+    return containsLinked;
+  };
+  visit(root, 0, false);
+
+  return folders;
+}
+
+function countChromeBookmarks(node) {
+  if (node.url) return 1;
+  return (node.children || []).reduce((sum, child) => sum + countChromeBookmarks(child), 0);
+}
+
+/**
+ * Convert a Chrome bookmark node (and any children) to an app item
+ */
+export function chromeNodeToItem(node) {
+  if (node.url) {
+    return { id: generateId(), type: 'bookmark', name: node.title, url: node.url, chromeId: node.id, dateAdded: node.dateAdded };
+  }
+  return {
+    id: generateId(),
+    type: 'folder',
+    name: node.title,
+    expanded: true,
+    children: (node.children || []).map(chromeNodeToItem),
+    chromeId: node.id,
+    dateAdded: node.dateAdded,
+  };
+}
+
 /**
  * Find an item by its Chrome ID in the boxes structure
  */
@@ -0,0 +1,86 @@
+// Trash Module
+// Deleted spaces, folders and bookmarks are kept in the Trash along with
+// where they were, so they can be put back
+
+import { createEmptyBox, findItemById, findParentById, generateId } from './utils.js';
+
+/**
+ * Create a Trash entry for a space about to be deleted
+ */
+export function createTrashedSpace(boxes, box) {
+  return {
+    id: generateId(),
+    deletedAt: Date.now(),
+    kind: 'space',
+    entry: structuredClone(box),
+    index: boxes.indexOf(box),
+  };
+}
+
+/**
+ * Create a Trash entry for an item about to be deleted, recording its space,
+ * the folder it was in and its position there
+ */
+export function createTrashedItem(box, item) {
+  const parent = findParentById(box.items, item.id);
+  const siblings = parent ? parent.children : box.items;
+
+  return {
+    id: generateId(),
+    deletedAt: Date.now(),
+    kind: item.type,
+    entry: structuredClone(item),
+    boxId: box.id,
+    boxTitle: box.title,
+    parentId: parent ? parent.id : null,
+    path: [box.title, ...getFolderPath(box.items, item.id)],
+    index: siblings.indexOf(item),
+  };
+}
+
+/**
+ * Names of the folders leading to an item
+ */
+function getFolderPath(items, id) {
+  for (const item of items) {
+    if (item.id === id) return [];
+    if (item.children) {
+      const path = getFolderPath(item.children, id);
+      if (path) return [item.name, ...path];
+    }
+  }
+  return null;
+}
+
+/**
+ * Put a trashed space or item back where it was, changing boxes in place.
+ * An item whose folder is gone goes at the end of its space, and one whose
+ * space is gone goes into a new space with that space's name. In a synced
+ * space, Chrome bookmarks removed with it are recreated by the next sync.
+ * Returns the ID of the space it went back into.
+ */
+export function restoreTrashed(boxes, trashed) {
+  if (trashed.kind === 'space') {
+    boxes.splice(Math.min(trashed.index, boxes.length), 0, trashed.entry);
+    return trashed.entry.id;
+  }
+
+  let box = boxes.find((b) => b.id === trashed.boxId);
+  if (!box) {
+    box = { ...createEmptyBox(), title: trashed.boxTitle };
+    boxes.push(box);
+  }
+
+  const parent = trashed.parentId ? findItemById(box.items, trashed.parentId) : null;
+  if (parent?.type === 'folder') {
+    parent.children = parent.children || [];
+    parent.children.splice(Math.min(trashed.index, parent.children.length), 0, trashed.entry);
+    parent.expanded = true;
+  } else if (trashed.parentId) {
+    box.items.push(trashed.entry);
+  } else {
+    box.items.splice(Math.min(trashed.index, box.items.length), 0, trashed.entry);
+  }
+
+  return box.id;
+}
@@ -1,28 +1,74 @@
 // Tree component - handles rendering and interaction of the bookmark tree
 
+// The focused item, moved with the keyboard or mouse, kept across renders
+let selectedItemId = null;
+
+// Items selected together for bulk actions, all in one space, and the item a
+// Shift-click or Shift+arrow range starts from
+let selectedIds = new Set();
+let selectionBoxId = null;
+let anchorId = null;
+
 /**
  * Render the tree structure
+ * A read-only tree can be browsed and opened but not edited or rearranged
  */
-export function renderTree(items, boxId, accentColor, handlers) {
+export function renderTree(items, boxId, accentColor, handlers, readOnly = false) {
   const ul = document.createElement('ul');
   ul.className = 'tree';
   ul.dataset.boxId = boxId;
 
   items.forEach((item, index) => {
-    const li = renderTreeItem(item, boxId, accentColor, handlers, index);
+    const li = renderTreeItem(item, boxId, accentColor, handlers, index, readOnly);
     ul.appendChild(li);
   });
 
   // Setup drop zone for the tree root
-  setupTreeDropZone(ul, boxId, null, handlers);
+  if (!readOnly) {
+    setupTreeDropZone(ul, boxId, null, handlers);
+  }
+
+  // Tab moves into the tree at the selected item, or the first one
+  const rows = [...ul.querySelectorAll('.tree-item')];
+  if (rows.length > 0 && !rows.some((row) => row.tabIndex === 0)) {
+    rows[0].tabIndex = 0;
+  }
 
   return ul;
 }
 
+/**
+ * The selected items, in the order they appear in the tree
+ * Returns { boxId, itemIds }
+ */
+export function getSelection() {
+  const itemIds = [...document.querySelectorAll('.tree-item')]
+    .filter((row) => row.dataset.boxId === selectionBoxId && selectedIds.has(row.dataset.id))
+    .map((row) => row.dataset.id);
+  return { boxId: selectionBoxId, itemIds };
+}
+
+/**
+ * Unselect every item but the focused one
+ */
+export function clearSelection() {
+  selectedIds = new Set(selectedItemId ? [selectedItemId] : []);
+  anchorId = selectedItemId;
+  updateSelectedRows();
+}
+
+/**
+ * Focus the selected item, e.g. after the tree was rendered again
+ */
+export function focusSelectedItem(container) {
+  const row = container.querySelector(`.tree-item[data-id="${CSS.escape(selectedItemId || '')}"]`);
+  if (row) row.focus();
+}
+
 /**
  * Render a single tree item (folder or bookmark)
  */
-function renderTreeItem(item, boxId, accentColor, handlers, index) {
+function renderTreeItem(item, boxId, accentColor, handlers, index, readOnly) {
   const li = document.createElement('li');
 
   const row = document.createElement('div');
@@ -30,7 +76,9 @@ function renderTreeItem(item, boxId, accentColor, handlers, index) {
   row.dataset.id = item.id;
   row.dataset.type = item.type;
   row.dataset.boxId = boxId;
-  row.draggable = true;
+  row.draggable = !readOnly;
+  row.tabIndex = item.id === selectedItemId ? 0 : -1;
+  if (boxId === selectionBoxId && selectedIds.has(item.id)) row.classList.add('selected');
 
   // Expand button (for folders)
   if (item.type === 'folder') {
@@ -86,11 +134,13 @@ function renderTreeItem(item, boxId, accentColor, handlers, index) {
   nameInput.className = 'tree-item-name';
   nameInput.value = item.name;
   nameInput.readOnly = true;
+  nameInput.tabIndex = -1;
   nameInput.title = item.type === 'bookmark' ? item.url : item.name;
 
   // Double-click to edit
   nameInput.addEventListener('dblclick', (e) => {
     e.stopPropagation();
+    if (readOnly) return;
     nameInput.readOnly = false;
     nameInput.select();
   });
@@ -103,19 +153,51 @@ function renderTreeItem(item, boxId, accentColor, handlers, index) {
   });
 
   nameInput.addEventListener('keydown', (e) => {
+    if (nameInput.readOnly) return; // Handled by the row
+
+    // Keys typed while renaming are for the name; finishing goes back to the row
+    e.stopPropagation();
     if (e.key === 'Enter') {
-      nameInput.blur();
+      row.focus();
     } else if (e.key === 'Escape') {
       nameInput.value = item.name;
-      nameInput.blur();
+      row.focus();
     }
   });
 
   row.appendChild(nameInput);
 
+  // Selection: Ctrl/Cmd-click toggles an item, Shift-click selects a range
+  row.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || (e.target === nameInput && !nameInput.readOnly)) return;
+    if (e.shiftKey) e.preventDefault(); // Don't select text
+
+    // Pressing on a selected item keeps the selection, so it can be dragged
+    // together; a click without dragging then selects just that item
+    if (!isSelectionClick(e) && selectedIds.has(row.dataset.id) && selectedIds.size > 1) {
+      selectedItemId = row.dataset.id;
+      updateSelectedRows();
+    } else {
+      selectRow(row, handlers, { toggle: e.ctrlKey || e.metaKey, range: e.shiftKey });
+    }
+    row.focus();
+  });
+  row.addEventListener('click', (e) => {
+    if (!isSelectionClick(e) && selectedIds.size > 1) selectRow(row, handlers);
+  });
+
+  // Keyboard navigation
+  row.addEventListener('focusin', () => {
+    if (row.dataset.id !== selectedItemId) selectRow(row, handlers);
+  });
+  row.addEventListener('keydown', (e) => {
+    handleTreeKeyDown(e, row, item, boxId, handlers, readOnly);
+  });
+
   // Click to open bookmark
   if (item.type === 'bookmark') {
     row.addEventListener('click', (e) => {
+      if (isSelectionClick(e)) return;
       if (e.target !== nameInput || nameInput.readOnly) {
         window.open(item.url, '_blank');
       }
@@ -126,21 +208,22 @@ function renderTreeItem(item, boxId, accentColor, handlers, index) {
   if (item.type === 'folder') {
     row.addEventListener('click', (e) => {
       // Don't toggle if clicking on the name input while editing
-      if (e.target === nameInput && !nameInput.readOnly) {
+      if (isSelectionClick(e) || (e.target === nameInput && !nameInput.readOnly)) {
         return;
       }
       handlers.onToggleExpand(boxId, item.id);
     });
   }
 
-  // Context menu for adding/deleting
-  row.addEventListener('contextmenu', (e) => {
-    e.preventDefault();
-    showContextMenu(e.clientX, e.clientY, item, boxId, handlers);
-  });
+  // Context menu and drag and drop (editable trees only)
+  if (!readOnly) {
+    row.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      showContextMenu(e.clientX, e.clientY, item, boxId, handlers);
+    });
 
-  // Drag and drop
-  setupTreeItemDrag(row, item, boxId, handlers);
+    setupTreeItemDrag(row, item, boxId, handlers);
+  }
 
   li.appendChild(row);
 
@@ -151,13 +234,15 @@ function renderTreeItem(item, boxId, accentColor, handlers, index) {
 
     if (item.children) {
       item.children.forEach((child, childIndex) => {
-        const childLi = renderTreeItem(child, boxId, accentColor, handlers, childIndex);
+        const childLi = renderTreeItem(child, boxId, accentColor, handlers, childIndex, readOnly);
         childrenUl.appendChild(childLi);
       });
     }
 
     // Setup drop zone for folder
-    setupTreeDropZone(childrenUl, boxId, item.id, handlers);
+    if (!readOnly) {
+      setupTreeDropZone(childrenUl, boxId, item.id, handlers);
+    }
 
     li.appendChild(childrenUl);
   }
@@ -165,13 +250,215 @@ function renderTreeItem(item, boxId, accentColor, handlers, index) {
   return li;
 }
 
+/**
+ * Whether a click changes the selection rather than opening or toggling
+ */
+function isSelectionClick(e) {
+  return e.shiftKey || e.ctrlKey || e.metaKey;
+}
+
+/**
+ * Focus a row and select it alone, or toggle it in the selection, or select
+ * the range from the anchor to it. Selecting in another space starts over.
+ */
+function selectRow(row, handlers, { toggle = false, range = false } = {}) {
+  const id = row.dataset.id;
+  if (row.dataset.boxId !== selectionBoxId) {
+    selectionBoxId = row.dataset.boxId;
+    selectedIds = new Set();
+    anchorId = null;
+  }
+
+  const rows = getVisibleRows(row);
+  const anchorIndex = rows.findIndex((el) => el.dataset.id === anchorId);
+  if (range && anchorIndex !== -1) {
+    const index = rows.indexOf(row);
+    const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+    selectedIds = new Set(rows.slice(start, end + 1).map((el) => el.dataset.id));
+  } else if (toggle) {
+    if (selectedIds.has(id)) {
+      selectedIds.delete(id);
+    } else {
+      selectedIds.add(id);
+    }
+    anchorId = id;
+  } else {
+    selectedIds = new Set([id]);
+    anchorId = id;
+  }
+
+  selectedItemId = id;
+  updateSelectedRows();
+  handlers.onSelectionChange();
+}
+
+/**
+ * Mark the selected rows, and make the focused one the one Tab moves into
+ * the tree at
+ */
+function updateSelectedRows() {
+  document.querySelectorAll('.tree-item').forEach((el) => {
+    el.classList.toggle('selected', el.dataset.boxId === selectionBoxId && selectedIds.has(el.dataset.id));
+    el.tabIndex = el.dataset.id === selectedItemId ? 0 : -1;
+  });
+}
+
+/**
+ * Rows of a tree that aren't inside collapsed folders, in order
+ */
+function getVisibleRows(row) {
+  return [...row.closest('.tree').querySelectorAll('.tree-item')]
+    .filter((el) => !el.closest('.tree-children.collapsed'));
+}
+
+/**
+ * The row of the folder holding a row, or null at the top of the tree
+ */
+function getParentRow(row) {
+  return row.parentElement.parentElement.closest('li')?.querySelector(':scope > .tree-item') || null;
+}
+
+/**
+ * The row of the item before or after a row in the same folder
+ */
+function getSiblingRow(row, previous) {
+  const li = previous ? row.parentElement.previousElementSibling : row.parentElement.nextElementSibling;
+  return li?.querySelector(':scope > .tree-item') || null;
+}
+
+/**
+ * Handle keys pressed on a tree row:
+ * - Up/Down, Home/End: select the previous, next, first or last item
+ * - Right: expand a folder, or select its first item
+ * - Left: collapse a folder, or select the folder holding the item
+ * - Enter: open a bookmark or expand/collapse a folder
+ * - F2: rename, Delete: delete
+ * - Alt+Up/Down: move up or down among its siblings
+ * - Alt+Left: move out of its folder, Alt+Right: into the folder above it
+ */
+function handleTreeKeyDown(e, row, item, boxId, handlers, readOnly) {
+  const rows = getVisibleRows(row);
+  const index = rows.indexOf(row);
+  const isFolder = item.type === 'folder';
+  const focus = (target) => target?.focus();
+
+  if (e.altKey) {
+    if (readOnly) return;
+    const previous = getSiblingRow(row, true);
+    const next = getSiblingRow(row, false);
+    const parent = getParentRow(row);
+
+    switch (e.key) {
+      case 'ArrowUp':
+        if (previous) handlers.onReorderItem(boxId, item.id, boxId, previous.dataset.id, 'before');
+        break;
+      case 'ArrowDown':
+        if (next) handlers.onReorderItem(boxId, item.id, boxId, next.dataset.id, 'after');
+        break;
+      case 'ArrowLeft':
+        if (parent) handlers.onReorderItem(boxId, item.id, boxId, parent.dataset.id, 'after');
+        break;
+      case 'ArrowRight':
+        if (previous?.dataset.type === 'folder') handlers.onMoveItem(boxId, item.id, boxId, previous.dataset.id);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    return;
+  }
+
+  // Shift+Up/Down extends the selection
+  if (e.shiftKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+    const target = rows[index + (e.key === 'ArrowDown' ? 1 : -1)];
+    if (target) {
+      selectRow(target, handlers, { range: true });
+      target.focus();
+    }
+    e.preventDefault();
+    return;
+  }
+
+  switch (e.key) {
+    case 'ArrowDown':
+      focus(rows[index + 1]);
+      break;
+    case 'ArrowUp':
+      focus(rows[index - 1]);
+      break;
+    case 'Escape':
+      clearSelection();
+      handlers.onSelectionChange();
+      break;
+    case 'Home':
+      focus(rows[0]);
+      break;
+    case 'End':
+      focus(rows[rows.length - 1]);
+      break;
+    case 'ArrowRight':
+      if (isFolder && !item.expanded) {
+        handlers.onToggleExpand(boxId, item.id);
+      } else if (isFolder && getParentRow(rows[index + 1] || row) === row) {
+        focus(rows[index + 1]);
+      }
+      break;
+    case 'ArrowLeft':
+      if (isFolder && item.expanded) {
+        handlers.onToggleExpand(boxId, item.id);
+      } else {
+        focus(getParentRow(row));
+      }
+      break;
+    case 'Enter':
+      if (isFolder) {
+        handlers.onToggleExpand(boxId, item.id);
+      } else {
+        window.open(item.url, '_blank');
+      }
+      break;
+    case 'F2': {
+      if (readOnly) return;
+      const nameInput = row.querySelector('.tree-item-name');
+      nameInput.readOnly = false;
+      nameInput.focus();
+      nameInput.select();
+      break;
+    }
+    case 'Delete':
+    case 'Backspace': {
+      if (readOnly) return;
+      // Deleting a selected item deletes the whole selection
+      const { itemIds } = getSelection();
+      if (itemIds.length > 1 && itemIds.includes(item.id)) {
+        if (confirm(`Delete ${itemIds.length} selected items?`)) handlers.onDeleteItems(boxId, itemIds);
+      } else if (confirm(`Delete "${item.name}"?`)) {
+        // Select the next item outside it, or the one before if there is none
+        const nextRow = rows.slice(index + 1).find((el) => !row.parentElement.contains(el)) || rows[index - 1];
+        selectedItemId = nextRow?.dataset.id || null;
+        handlers.onDeleteItem(boxId, item.id);
+      }
+      break;
+    }
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
 /**
  * Setup drag behavior for tree items
  */
 function setupTreeItemDrag(element, item, boxId, handlers) {
   element.addEventListener('dragstart', (e) => {
+    // Dragging a selected item drags the whole selection, in tree order
+    const selection = getSelection();
+    const itemIds = selection.boxId === boxId && selection.itemIds.includes(item.id)
+      ? selection.itemIds
+      : [item.id];
     e.dataTransfer.setData('application/json', JSON.stringify({
       itemId: item.id,
+      itemIds,
       sourceBoxId: boxId,
     }));
     e.dataTransfer.effectAllowed = 'move';
@@ -244,14 +531,15 @@ function setupTreeItemDrag(element, item, boxId, handlers) {
 
     try {
       const data = JSON.parse(e.dataTransfer.getData('application/json'));
-      if (data.itemId === item.id) return;
+      const itemIds = data.itemIds || [data.itemId];
+      if (itemIds.includes(item.id)) return;
 
       if (wasInto && item.type === 'folder') {
         // Drop into folder
-        handlers.onMoveItem(data.sourceBoxId, data.itemId, boxId, item.id);
+        handlers.onMoveItems(data.sourceBoxId, itemIds, boxId, item.id);
       } else if (wasAbove || wasBelow) {
         // Drop before or after this item (reorder)
-        handlers.onReorderItem(data.sourceBoxId, data.itemId, boxId, item.id, wasBelow ? 'after' : 'before');
+        handlers.onReorderItems(data.sourceBoxId, itemIds, boxId, item.id, wasBelow ? 'after' : 'before');
       }
     } catch (err) {
       console.error('Drop error:', err);
@@ -276,7 +564,7 @@ function setupTreeDropZone(element, boxId, parentId, handlers) {
 
       try {
         const data = JSON.parse(e.dataTransfer.getData('application/json'));
-        handlers.onMoveItem(data.sourceBoxId, data.itemId, boxId, parentId);
+        handlers.onMoveItems(data.sourceBoxId, data.itemIds || [data.itemId], boxId, parentId);
       } catch (err) {
         console.error('Drop error:', err);
       }
@@ -0,0 +1,51 @@
+// Undo Module
+// Keeps the spaces as they were before and after each edit, so the edit can
+// be undone or redone on top of whatever changed since (e.g. in another tab
+// or in Chrome bookmarks)
+
+import { mergeBoxes } from './utils.js';
+
+// Most edits that can be undone
+const MAX_UNDO_STEPS = 100;
+
+const undoStack = [];
+const redoStack = [];
+
+/**
+ * Record an edit, unless it changed nothing
+ * Returns true if it was recorded
+ */
+export function recordEdit(label, before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return false;
+
+  undoStack.push({ label, before, after: structuredClone(after) });
+  if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+  redoStack.length = 0;
+  return true;
+}
+
+/**
+ * Undo the last edit on top of the current boxes
+ * Returns { label, boxes } with the resulting boxes, or null if there is
+ * nothing to undo
+ */
+export function undoEdit(boxes) {
+  const edit = undoStack.pop();
+  if (!edit) return null;
+
+  redoStack.push(edit);
+  return { label: edit.label, boxes: mergeBoxes(edit.after, edit.before, boxes) };
+}
+
+/**
+ * Redo the last undone edit on top of the current boxes
+ * Returns { label, boxes } with the resulting boxes, or null if there is
+ * nothing to redo
+ */
+export function redoEdit(boxes) {
+  const edit = redoStack.pop();
+  if (!edit) return null;
+
+  undoStack.push(edit);
+  return { label: edit.label, boxes: mergeBoxes(edit.before, edit.after, boxes) };
+}
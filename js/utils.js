@@ -18,6 +18,17 @@ export function debounce(fn, delay) {
   };
 }
 
+/**
+ * Escape text for use in HTML
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Clamp a value between min and max
  */
@@ -41,6 +52,12 @@ export const COLORS = [
   '#3b82f6', // Blue
 ];
 
+/**
+ * Attribute that marks a space's folder, and holds its color, in bookmarks
+ * HTML exported by this extension
+ */
+export const SPACE_COLOR_ATTRIBUTE = 'DISEMB_ARC_COLOR';
+
 /**
  * Create a new empty box (space)
  */
@@ -50,6 +67,7 @@ export function createEmptyBox() {
     title: 'New Space',
     color: COLORS[Math.floor(Math.random() * COLORS.length)],
     items: [],
+    dateAdded: Date.now(),
   };
 }
 
@@ -63,6 +81,7 @@ export function createFolder(name = 'New Folder') {
     name,
     expanded: true,
     children: [],
+    dateAdded: Date.now(),
   };
 }
 
@@ -75,6 +94,7 @@ export function createBookmark(name = 'New Bookmark', url = 'https://') {
     type: 'bookmark',
     name,
     url,
+    dateAdded: Date.now(),
   };
 }
 
@@ -106,6 +126,69 @@ export function findParentById(items, id, parent = null) {
   return undefined;
 }
 
+/**
+ * Score how well a query fuzzily matches text: the query's characters must
+ * appear in the text in order. Runs of consecutive characters and characters
+ * starting a word score higher. Returns 0 if the text doesn't match.
+ */
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = (text || '').toLowerCase();
+  let score = 0;
+  let last = -1;
+
+  for (const char of q) {
+    const index = t.indexOf(char, last + 1);
+    if (index === -1) return 0;
+
+    score += 1;
+    if (index === last + 1) score += 2;
+    if (index === 0 || !/[a-z0-9]/.test(t[index - 1])) score += 3;
+    last = index;
+  }
+
+  // Prefer shorter texts, where more of the text is matched
+  return score + q.length / t.length;
+}
+
+/**
+ * Search every space for folders and bookmarks whose name, URL or folder
+ * path fuzzily match the query. Names count most.
+ * Returns [{ box, item, path, score }], best match first, where path names
+ * the space and folders holding the item.
+ */
+export function searchItems(boxes, query) {
+  const results = [];
+
+  const visit = (box, items, path) => {
+    for (const item of items) {
+      const score = Math.max(
+        fuzzyScore(query, item.name) * 1.5,
+        item.url ? fuzzyScore(query, item.url) : 0,
+        fuzzyScore(query, path.join(' / ')) * 0.75
+      );
+      if (score > 0) results.push({ box, item, path, score });
+      if (item.children) visit(box, item.children, [...path, item.name]);
+    }
+  };
+  boxes.forEach((box) => visit(box, box.items, [box.title]));
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Collect the IDs of every space and item
+ */
+export function collectIds(boxes) {
+  const ids = new Set();
+  const visit = (entries) => entries.forEach((entry) => {
+    ids.add(entry.id);
+    visit(entry.items || entry.children || []);
+  });
+  visit(boxes);
+  return ids;
+}
+
 /**
  * Remove an item by ID from a tree structure
  */
@@ -168,6 +251,8 @@ function parseDlElement(dl) {
           name: h3.textContent.trim(),
           expanded: true,
           children: [],
+          ...parseAddDate(h3),
+          ...(h3.hasAttribute(SPACE_COLOR_ATTRIBUTE) && { spaceColor: h3.getAttribute(SPACE_COLOR_ATTRIBUTE) }),
         };
 
         // Look for the nested DL (sibling or child)
@@ -193,6 +278,7 @@ function parseDlElement(dl) {
           type: 'bookmark',
           name: a.textContent.trim(),
           url: a.getAttribute('HREF') || '',
+          ...parseAddDate(a),
         });
       }
     }
@@ -201,6 +287,29 @@ function parseDlElement(dl) {
   return items;
 }
 
+/**
+ * Read when a bookmark or folder was added from its ADD_DATE attribute, in
+ * seconds. Returns { dateAdded } in milliseconds, or {} if it has none.
+ */
+function parseAddDate(element) {
+  const seconds = Number(element.getAttribute('ADD_DATE'));
+  return seconds > 0 ? { dateAdded: seconds * 1000 } : {};
+}
+
+/**
+ * Create boxes from bookmarks HTML exported by this extension, whose top-level
+ * folders are spaces marked with their color. Returns null for other files.
+ */
+export function createBoxesFromExportedSpaces(items) {
+  if (items.length === 0 || !items.every((item) => item.spaceColor)) return null;
+
+  return items.map(({ name, children, dateAdded, spaceColor }) => ({
+    ...createBoxFromBookmarks(children, name),
+    color: spaceColor,
+    ...(dateAdded && { dateAdded }),
+  }));
+}
+
 /**
  * Create a box from imported bookmarks
  */
@@ -253,11 +362,14 @@ function extractArcSpaceColor(spaceEntry) {
 
 /**
  * Parse Arc Browser's StorableSidebar.json format
- * Returns an array of spaces, each with { title, items, color }
+ * Returns an array of spaces, Favorites first, each with { title, items,
+ * unpinnedItems, unpinnedArcId, color, arcId }: items are the pinned tabs and
+ * folders, unpinnedItems the unpinned (Today) tabs
  */
 export function parseArcJson(jsonString) {
   const data = JSON.parse(jsonString);
   const spaces = [];
+  const favorites = [];
 
   // Find the sidebar containers
   const sidebar = data.sidebar;
@@ -328,34 +440,71 @@ export function parseArcJson(jsonString) {
       // Extract color from Arc's space data (RGB values)
       const spaceColor = extractArcSpaceColor(spaceEntry);
 
-      // Get the container IDs for this space (pinned and unpinned)
-      // Arc uses newContainerIDs which also alternates between type objects and IDs
-      let containerIds = spaceEntry.containerIDs || [];
-
-      // Also check newContainerIDs format
-      if (spaceEntry.newContainerIDs) {
-        for (const entry of spaceEntry.newContainerIDs) {
-          if (typeof entry === 'string') {
-            containerIds.push(entry);
-          }
-        }
-      }
+      // Get the container IDs for this space's pinned and unpinned (Today)
+      // sections. Arc lists them in containerIDs, and in newContainerIDs,
+      // each after its section type.
+      const containers = getArcSpaceContainers([
+        ...(spaceEntry.containerIDs || []),
+        ...(spaceEntry.newContainerIDs || []),
+      ]);
 
-      // Build items tree for this space using the master item map
-      const spaceItems = buildArcItemTree(masterItemMap, containerIds);
+      // Build items trees for this space using the master item map
+      const spaceItems = buildArcItemTree(masterItemMap, containers.pinned);
+      const unpinnedItems = buildArcItemTree(masterItemMap, containers.unpinned);
 
-      if (spaceItems.length > 0) {
+      if (spaceItems.length > 0 || unpinnedItems.length > 0) {
         spaces.push({
           title: spaceTitle,
           items: spaceItems,
+          unpinnedItems,
+          unpinnedArcId: containers.unpinned[0] || null,
           color: spaceColor,
           arcId: spaceEntry.id || null, // Preserve Arc's space ID for deduplication
         });
       }
     }
+
+    // Favorites, the row of icons above every space, become a space of their own
+    const favoritesIds = getArcSpaceContainers(container.topAppsContainerIDs || []).pinned;
+    favoritesIds.forEach((favoritesId, index) => {
+      const favoriteItems = buildArcItemTree(masterItemMap, [favoritesId]);
+      if (favoriteItems.length > 0) {
+        favorites.push({
+          title: index === 0 ? 'Favorites' : `Favorites ${index + 1}`,
+          items: favoriteItems,
+          unpinnedItems: [],
+          unpinnedArcId: null,
+          color: null,
+          arcId: favoritesId,
+        });
+      }
+    });
+  }
+
+  return [...favorites, ...spaces];
+}
+
+/**
+ * Sort the container IDs of an Arc space into its pinned and unpinned
+ * sections. Arc lists each ID after its section type, given as a string
+ * ("pinned") or an object ({ "pinned": {} }); IDs of any other type, like
+ * the "default" Favorites container, count as pinned.
+ */
+function getArcSpaceContainers(entries) {
+  const containers = { pinned: [], unpinned: [] };
+  let section = 'pinned';
+
+  for (const entry of entries) {
+    if (entry === 'pinned' || entry === 'unpinned' || entry === 'default') {
+      section = entry === 'unpinned' ? 'unpinned' : 'pinned';
+    } else if (typeof entry === 'object' && entry !== null) {
+      section = 'unpinned' in entry ? 'unpinned' : 'pinned';
+    } else if (typeof entry === 'string' && !containers[section].includes(entry)) {
+      containers[section].push(entry);
+    }
   }
 
-  return spaces;
+  return containers;
 }
 
 /**
@@ -449,50 +598,73 @@ function buildArcNode(item, itemMap) {
 }
 
 /**
- * Create boxes from Arc spaces
+ * Create boxes from Arc spaces. A space's unpinned tabs go in a "Today"
+ * folder after its pinned ones, marked with arcSection: 'unpinned'.
  */
 export function createBoxesFromArcSpaces(spaces) {
   return spaces.map((space, index) => {
+    const items = [...space.items];
+    if (space.unpinnedItems?.length > 0) {
+      items.push({
+        id: generateId(),
+        type: 'folder',
+        name: 'Today',
+        expanded: false,
+        children: space.unpinnedItems,
+        arcId: space.unpinnedArcId || null,
+        arcSection: 'unpinned',
+      });
+    }
+
     return {
       id: generateId(),
       title: space.title,
       // Use Arc's original color if available, otherwise fall back to our palette
       color: space.color || COLORS[index % COLORS.length],
-      items: space.items,
+      items,
       arcId: space.arcId || null, // Preserve Arc's space ID for deduplication
     };
   });
 }
 
 /**
- * Merge imported Arc spaces with existing boxes, avoiding duplicates
+ * Leave out the unpinned (Today) section of imported Arc items
  */
-export function mergeArcSpaces(existingBoxes, newBoxes) {
-  const result = [...existingBoxes];
-  const existingArcIds = new Set();
+export function withoutUnpinnedArcItems(items) {
+  return items.filter((item) => item.arcSection !== 'unpinned');
+}
 
-  // Collect all existing Arc IDs
-  for (const box of existingBoxes) {
-    if (box.arcId) existingArcIds.add(box.arcId);
-  }
+/**
+ * Merge imported Arc spaces with existing boxes, avoiding duplicates.
+ * targets optionally maps an imported box's ID to the ID of the existing box
+ * it updates, or to null to add it as a new space; otherwise a space updates
+ * the box with the same Arc ID, if there is one. bases maps an Arc space ID
+ * to its items as they were last imported (see snapshotArcItems), so what
+ * changed in Arc since can be told apart from what changed here.
+ */
+export function mergeArcSpaces(existingBoxes, newBoxes, targets = new Map(), bases = {}) {
+  const result = [...existingBoxes];
 
   for (const newBox of newBoxes) {
-    if (newBox.arcId && existingArcIds.has(newBox.arcId)) {
-      // Update existing box with same Arc ID
-      const existingIndex = result.findIndex(b => b.arcId === newBox.arcId);
-      if (existingIndex !== -1) {
-        // Preserve our internal ID and chromeId, update everything else
-        result[existingIndex] = {
-          ...newBox,
-          id: result[existingIndex].id,
-          chromeId: result[existingIndex].chromeId,
-        };
-        // Merge items recursively
-        result[existingIndex].items = mergeArcItems(
-          result[existingIndex].items || [],
-          newBox.items || []
-        );
-      }
+    const target = targets.has(newBox.id)
+      ? result.find(b => b.id === targets.get(newBox.id))
+      : findArcSpaceMatch(result, newBox);
+
+    if (target) {
+      // Preserve our internal ID, chromeId and sync settings, update everything else
+      const existingIndex = result.indexOf(target);
+      result[existingIndex] = {
+        ...target,
+        ...newBox,
+        id: target.id,
+        chromeId: target.chromeId,
+      };
+      // Merge items recursively
+      result[existingIndex].items = mergeArcItems(
+        target.items || [],
+        newBox.items || [],
+        (newBox.arcId && bases[newBox.arcId]) || null
+      );
     } else {
       // New space, add it
       result.push(newBox);
@@ -503,42 +675,315 @@ export function mergeArcSpaces(existingBoxes, newBoxes) {
 }
 
 /**
- * Merge Arc items recursively, avoiding duplicates
+ * Find the existing box an imported Arc space would update by default: the
+ * one with the same Arc ID
  */
-function mergeArcItems(existingItems, newItems) {
-  const result = [...existingItems];
-  const existingArcIds = new Map();
+export function findArcSpaceMatch(existingBoxes, space) {
+  return space.arcId ? existingBoxes.find(b => b.arcId === space.arcId) || null : null;
+}
+
+/**
+ * Copy imported Arc items keeping only what the next re-import compares:
+ * their Arc IDs, names, URLs and nesting
+ */
+export function snapshotArcItems(items) {
+  return items.map((item) => (item.type === 'folder'
+    ? { arcId: item.arcId, type: 'folder', name: item.name, arcSection: item.arcSection, children: snapshotArcItems(item.children || []) }
+    : { arcId: item.arcId, type: 'bookmark', name: item.name, url: item.url }));
+}
 
-  // Map existing items by Arc ID
-  for (let i = 0; i < existingItems.length; i++) {
-    if (existingItems[i].arcId) {
-      existingArcIds.set(existingItems[i].arcId, i);
+/**
+ * Merge re-imported Arc items into existing ones, matching them by Arc ID.
+ * Given the items as they were last imported, this is a three-way merge:
+ * items deleted in Arc since are removed (folders holding items added here
+ * are kept, but no longer linked to Arc), items moved in Arc are moved here
+ * too, and lists Arc reordered follow Arc's order, while renames, moves,
+ * additions and deletions made here are kept. Without them, Arc's names,
+ * places and order win and nothing is removed.
+ */
+function mergeArcItems(existingItems, newItems, baseItems = null) {
+  const result = structuredClone(existingItems);
+  const incoming = indexArcItems(newItems);
+  const base = baseItems ? indexArcItems(baseItems) : new Map();
+
+  // Where each item linked to Arc is, by Arc ID. Items under a folder added
+  // here have that folder's own ID as their parent key.
+  const nodes = new Map();
+  const places = new Map();
+  const indexLocal = (items, parentKey) => {
+    for (let i = 0; i < items.length; i++) {
+      const node = items[i];
+      if (node.arcId && nodes.has(node.arcId)) {
+        // A copy left by an earlier import, which added moved items again
+        if (!hasLocalItems(node.children || [])) {
+          items.splice(i--, 1);
+          continue;
+        }
+        delete node.arcId;
+      }
+      if (node.arcId) {
+        nodes.set(node.arcId, node);
+        places.set(node.arcId, { list: items, parentKey });
+      }
+      if (node.children) indexLocal(node.children, node.arcId || node.id);
     }
-  }
+  };
+  indexLocal(result, null);
 
-  for (const newItem of newItems) {
-    if (newItem.arcId && existingArcIds.has(newItem.arcId)) {
-      // Update existing item
-      const existingIndex = existingArcIds.get(newItem.arcId);
-      const existing = result[existingIndex];
-      result[existingIndex] = {
-        ...newItem,
-        id: existing.id,
-        chromeId: existing.chromeId,
-        expanded: existing.expanded, // Preserve expand state
-      };
-      // Recursively merge children for folders
-      if (newItem.type === 'folder' && newItem.children) {
-        result[existingIndex].children = mergeArcItems(
-          existing.children || [],
-          newItem.children
-        );
+  const getList = (parentArcId) => (parentArcId ? nodes.get(parentArcId)?.children : result);
+
+  // Update and move what Arc changed, and add what's new in Arc, parents first
+  const place = (items, parentArcId) => {
+    for (const item of items) {
+      const list = getList(parentArcId);
+      const node = item.arcId ? nodes.get(item.arcId) : null;
+      const last = item.arcId ? base.get(item.arcId) : null;
+
+      if (node) {
+        for (const field of ['name', 'url']) {
+          if (item[field] !== undefined && (!last || node[field] === last.item[field])) {
+            node[field] = item[field];
+          }
+        }
+
+        const current = places.get(item.arcId);
+        const movedInArc = !last || last.parentArcId !== parentArcId;
+        if (movedInArc && list && current.parentKey !== parentArcId && !holdsList(node, list)) {
+          current.list.splice(current.list.indexOf(node), 1);
+          list.push(node);
+          places.set(item.arcId, { list, parentKey: parentArcId });
+        }
+        if (node.type === 'folder') node.children = node.children || [];
+      } else if (!last && list) {
+        // New in Arc; ones in the last import were deleted here
+        const added = structuredClone(item);
+        if (added.children) added.children = [];
+        list.push(added);
+        if (added.arcId) {
+          nodes.set(added.arcId, added);
+          places.set(added.arcId, { list, parentKey: parentArcId });
+        }
       }
+
+      if (item.children) place(item.children, item.arcId);
+    }
+  };
+  place(newItems, null);
+
+  // Follow Arc's order in lists Arc reordered, or added to or moved items
+  // into. Items added here, or moved here from elsewhere, keep their index.
+  const order = (items, parentArcId, lastItems) => {
+    const list = getList(parentArcId);
+    const ids = items.map((item) => item.arcId).filter(Boolean);
+    const lastIds = lastItems ? lastItems.map((item) => item.arcId) : null;
+    if (list && (!lastIds || ids.join() !== lastIds.join())) {
+      applyOrder(list, ids, 'arcId');
+    }
+    for (const item of items) {
+      if (item.children) order(item.children, item.arcId, base.get(item.arcId)?.item.children);
+    }
+  };
+  order(newItems, null, baseItems);
+
+  // Remove what was deleted in Arc since the last import
+  for (const arcId of base.keys()) {
+    const node = nodes.get(arcId);
+    if (!node || incoming.has(arcId)) continue;
+
+    if (hasLocalItems(node.children || [])) {
+      delete node.arcId;
     } else {
-      // New item, add it
-      result.push(newItem);
+      const { list } = places.get(arcId);
+      const index = list.indexOf(node);
+      if (index !== -1) list.splice(index, 1);
     }
   }
 
   return result;
 }
+
+/**
+ * Map the Arc ID of every item to the item and its parent's Arc ID
+ */
+function indexArcItems(items, parentArcId = null, index = new Map()) {
+  for (const item of items) {
+    if (item.arcId) index.set(item.arcId, { item, parentArcId });
+    if (item.children) indexArcItems(item.children, item.arcId, index);
+  }
+  return index;
+}
+
+/**
+ * Whether a list is the children of a node or of one of its folders, which
+ * the node can't be moved into
+ */
+function holdsList(node, list) {
+  return Boolean(node.children) && (node.children === list || node.children.some((child) => holdsList(child, list)));
+}
+
+/**
+ * Whether any of the items, or their children, was added here rather than
+ * imported from Arc
+ */
+function hasLocalItems(items) {
+  return items.some((item) => !item.arcId || hasLocalItems(item.children || []));
+}
+
+/**
+ * Three-way merge of spaces: apply the changes made in local since base on
+ * top of remote, so changes saved elsewhere (another tab, or Chrome) are
+ * kept as well. Spaces and items are matched by ID. Where both sides changed
+ * the same field, local wins, except that a title or URL also changed in
+ * Chrome is marked as a sync conflict; removals win over edits.
+ */
+export function mergeBoxes(base, local, remote) {
+  const merged = structuredClone(remote);
+  const baseIndex = indexTree(base);
+  const localIndex = indexTree(local);
+
+  // Drop what was removed locally
+  let mergedIndex = indexTree(merged);
+  for (const id of baseIndex.keys()) {
+    if (!localIndex.has(id) && mergedIndex.has(id)) {
+      const list = getChildList(merged, mergedIndex, mergedIndex.get(id).parentId);
+      list.splice(list.findIndex((node) => node.id === id), 1);
+    }
+  }
+  mergedIndex = indexTree(merged);
+
+  // Local entries are visited parents first, so added folders exist before
+  // their children are placed in them
+  for (const [id, { node, parentId, index }] of localIndex) {
+    const baseEntry = baseIndex.get(id);
+    const mergedEntry = mergedIndex.get(id);
+
+    if (!baseEntry) {
+      // Added locally
+      if (!mergedEntry) placeNode(merged, mergedIndex, copyWithoutChildren(node), parentId, index);
+    } else if (mergedEntry) {
+      mergeFields(baseEntry.node, node, mergedEntry.node);
+      if (parentId !== baseEntry.parentId) {
+        const list = getChildList(merged, mergedIndex, mergedEntry.parentId);
+        list.splice(list.indexOf(mergedEntry.node), 1);
+        placeNode(merged, mergedIndex, mergedEntry.node, parentId, index);
+      }
+    }
+  }
+
+  // Keep local reordering, with anything added elsewhere where it was put
+  const reordered = [[null, base, local]];
+  for (const [id, { node }] of localIndex) {
+    const baseNode = baseIndex.get(id)?.node;
+    const children = node.items || node.children;
+    if (baseNode && children) reordered.push([id, baseNode.items || baseNode.children || [], children]);
+  }
+  for (const [parentId, baseList, localList] of reordered) {
+    const localIds = localList.map((node) => node.id);
+    const commonIds = new Set(baseList.map((node) => node.id).filter((id) => localIds.includes(id)));
+    const baseOrder = baseList.map((node) => node.id).filter((id) => commonIds.has(id));
+    const localOrder = localIds.filter((id) => commonIds.has(id));
+    if (baseOrder.join() === localOrder.join()) continue;
+
+    const list = getChildList(merged, mergedIndex, parentId);
+    if (list) applyOrder(list, localIds);
+  }
+
+  return merged;
+}
+
+/**
+ * Map every space and item by ID to { node, parentId, index }
+ * Spaces have a null parentId
+ */
+function indexTree(boxes) {
+  const index = new Map();
+  const visit = (list, parentId) => {
+    list.forEach((node, i) => {
+      index.set(node.id, { node, parentId, index: i });
+      const children = node.items || node.children;
+      if (children) visit(children, node.id);
+    });
+  };
+  visit(boxes, null);
+  return index;
+}
+
+/**
+ * The list a space or folder keeps its children in (the boxes themselves
+ * for a null parentId), or null if the parent isn't there
+ */
+function getChildList(boxes, index, parentId) {
+  if (parentId === null) return boxes;
+  const parent = index.get(parentId)?.node;
+  if (!parent) return null;
+  if (parent.items) return parent.items;
+  parent.children = parent.children || [];
+  return parent.children;
+}
+
+/**
+ * Insert a node under parentId at index, unless the parent was removed
+ */
+function placeNode(boxes, index, node, parentId, position) {
+  const list = getChildList(boxes, index, parentId);
+  if (!list) return;
+  list.splice(Math.min(position, list.length), 0, node);
+  index.set(node.id, { node, parentId, index: position });
+}
+
+/**
+ * Copy a space or item without its children, which are placed separately
+ */
+function copyWithoutChildren(node) {
+  const { items, children, ...rest } = structuredClone(node);
+  if (items) rest.items = [];
+  if (children) rest.children = [];
+  return rest;
+}
+
+// Fields of spaces and items kept in step with Chrome bookmarks
+const SYNCED_FIELDS = ['title', 'name', 'url'];
+
+/**
+ * Copy the fields local changed since base onto target
+ */
+function mergeFields(base, local, target) {
+  // A title or URL changed on both sides, one of them by Chrome (which shows
+  // as a change to the values last synced), is recorded as a conflict for the
+  // user to resolve instead of one side silently overwriting the other
+  const changedLastSynced = (node) => Boolean(node.lastSynced) &&
+    JSON.stringify(node.lastSynced) !== JSON.stringify(base.lastSynced);
+  const chromeSide = [target, local].find(changedLastSynced);
+  const conflicting = Boolean(chromeSide) && SYNCED_FIELDS.some((key) =>
+    local[key] !== base[key] && target[key] !== base[key] && local[key] !== target[key]);
+
+  const keys = new Set([...Object.keys(base), ...Object.keys(local)]);
+  for (const key of keys) {
+    if (key === 'items' || key === 'children') continue;
+    if (JSON.stringify(base[key]) === JSON.stringify(local[key])) continue;
+    // The app's value is kept until the conflict is resolved
+    if (conflicting && chromeSide === local && SYNCED_FIELDS.includes(key)) continue;
+
+    if (key in local) {
+      target[key] = structuredClone(local[key]);
+    } else {
+      delete target[key];
+    }
+  }
+
+  if (conflicting && !target.conflict) {
+    target.conflict = { ...chromeSide.lastSynced, detectedAt: Date.now() };
+  }
+}
+
+/**
+ * Sort a list into the given ID order, keeping nodes not in it at their index.
+ * key names the ID the nodes are matched by.
+ */
+function applyOrder(list, ids, key = 'id') {
+  const ordered = ids.map((id) => list.find((node) => node[key] === id)).filter(Boolean);
+  list.forEach((node, i) => {
+    if (!ids.includes(node[key])) ordered.splice(Math.min(i, ordered.length), 0, node);
+  });
+  list.splice(0, list.length, ...ordered);
+}